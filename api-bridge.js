@@ -98,12 +98,15 @@
         window.postMessage({
           type: 'snEzApiResponse',
           messageId: messageId,
+          status: xhr.status,
           error: 'Authentication failed. Please ensure you are logged in.'
         }, '*');
       } else {
         window.postMessage({
           type: 'snEzApiResponse',
           messageId: messageId,
+          status: xhr.status,
+          retryAfter: xhr.getResponseHeader('Retry-After'),
           error: 'API call failed: ' + xhr.status + ' ' + xhr.statusText
         }, '*');
       }
@@ -113,15 +116,17 @@
       window.postMessage({
         type: 'snEzApiResponse',
         messageId: messageId,
+        status: 0,
         error: 'Network error - check your connection'
       }, '*');
     };
 
-    xhr.timeout = 15000; // Increased timeout
+    xhr.timeout = data.timeout || 15000;
     xhr.ontimeout = function() {
       window.postMessage({
         type: 'snEzApiResponse',
         messageId: messageId,
+        timedOut: true,
         error: 'Request timed out - Server may be slow to respond'
       }, '*');
     };
@@ -193,6 +198,8 @@
             type: 'snEzImpersonateResponse',
             messageId: messageId,
             success: false,
+            status: response.status,
+            retryAfter: response.headers.get('Retry-After'),
             error: 'API returned: ' + response.status + ' ' + response.statusText
           }, '*');
         });
@@ -295,6 +302,8 @@
             type: 'snEzEndImpersonateResponse',
             messageId: messageId,
             success: false,
+            status: response.status,
+            retryAfter: response.headers.get('Retry-After'),
             error: 'API returned: ' + response.status + ' ' + response.statusText
           }, '*');
         });
@@ -470,7 +479,10 @@
           window.postMessage({
             type: 'glassApiResponse',
             messageId: messageId,
-            result: responseData.result || responseData
+            result: responseData.result || responseData,
+            // Table API paging: rel="next" link and the total number of matches
+            link: xhr.getResponseHeader('Link'),
+            totalCount: xhr.getResponseHeader('X-Total-Count')
           }, '*');
         } catch (parseError) {
           window.postMessage({
@@ -483,6 +495,8 @@
         window.postMessage({
           type: 'glassApiResponse',
           messageId: messageId,
+          status: xhr.status,
+          retryAfter: xhr.getResponseHeader('Retry-After'),
           error: 'API call failed: ' + xhr.status + ' ' + xhr.statusText
         }, '*');
       }
@@ -492,15 +506,17 @@
       window.postMessage({
         type: 'glassApiResponse',
         messageId: messageId,
+        status: 0,
         error: 'Network error'
       }, '*');
     };
 
-    xhr.timeout = 15000;
+    xhr.timeout = data.timeout || 15000;
     xhr.ontimeout = function() {
       window.postMessage({
         type: 'glassApiResponse',
         messageId: messageId,
+        timedOut: true,
         error: 'Request timed out'
       }, '*');
     };
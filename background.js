@@ -0,0 +1,43 @@
+// Glass Chrome Extension - Service Worker
+//
+// Relays calls for another instance to a tab that is open and signed in
+// there (see src/lib/relay.js), so `@prod list incident` can read prod
+// through the prod tab's session.
+
+chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+  if (!message || message.type !== 'glassRelay') {
+    return false;
+  }
+
+  relay(message).then(sendResponse, function(error) {
+    sendResponse({ relayError: error.message });
+  });
+  return true;
+});
+
+async function relay(message) {
+  const tabs = await chrome.tabs.query({ url: `https://${message.host}/*` });
+  if (tabs.length === 0) {
+    throw new Error(`No tab is open on ${message.host}. Open it, sign in and try again.`);
+  }
+
+  // Prefer the tab used most recently; it is the most likely to be signed in
+  tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+
+  let response = null;
+  try {
+    response = await chrome.tabs.sendMessage(tabs[0].id, {
+      type: 'glassRelayedCall',
+      kind: message.kind,
+      payload: message.payload,
+      timeout: message.timeout
+    }, { frameId: 0 });
+  } catch (e) {
+    // No content script listening (tab still loading or opened before install)
+  }
+
+  if (!response) {
+    throw new Error(`Glass is not running in the ${message.host} tab. Reload that tab and try again.`);
+  }
+  return response;
+}
@@ -3,12 +3,21 @@
 document.addEventListener('DOMContentLoaded', function() {
   const shortcutInput = document.getElementById('shortcut');
   const statusDiv = document.getElementById('status');
+  const profileList = document.getElementById('profiles');
+  const profileForm = document.getElementById('profile-form');
+  const profileNameInput = document.getElementById('profile-name');
+  const profileUrlInput = document.getElementById('profile-url');
+  const profileEnvInput = document.getElementById('profile-env');
+  const retriesInput = document.getElementById('api-retries');
+  const concurrencyInput = document.getElementById('api-concurrency');
 
   let isRecording = false;
   let recordedKeys = new Set();
 
-  // Load saved shortcut
+  // Load saved shortcut and instance profiles
   loadSavedShortcut();
+  loadProfiles();
+  loadApiSettings();
 
   // Handle shortcut input recording
   shortcutInput.addEventListener('focus', function() {
@@ -88,6 +97,117 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
+  // Instance profiles: named instances that @name command lines target
+  profileForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const name = profileNameInput.value.trim();
+    if (!/^[a-z][a-z0-9_-]*$/i.test(name)) {
+      showStatus('Name must start with a letter (letters, digits, - and _)', 'error');
+      return;
+    }
+
+    let url;
+    try {
+      const raw = profileUrlInput.value.trim();
+      url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    } catch (err) {
+      showStatus('Enter the instance URL, e.g. https://acme.service-now.com', 'error');
+      return;
+    }
+
+    chrome.storage.sync.get(['instanceProfiles'], function(result) {
+      const profiles = (result.instanceProfiles || [])
+        .filter(p => p.name.toLowerCase() !== name.toLowerCase());
+      const profile = { name, url: `https://${url.hostname}` };
+      if (profileEnvInput.value) {
+        profile.env = profileEnvInput.value;
+      }
+      profiles.push(profile);
+      saveProfiles(profiles, `Added @${name}`);
+      profileNameInput.value = '';
+      profileUrlInput.value = '';
+      profileEnvInput.value = '';
+    });
+  });
+
+  function loadProfiles() {
+    chrome.storage.sync.get(['instanceProfiles'], function(result) {
+      renderProfiles(result.instanceProfiles || []);
+    });
+  }
+
+  function saveProfiles(profiles, message) {
+    chrome.storage.sync.set({instanceProfiles: profiles}, function() {
+      if (chrome.runtime.lastError) {
+        showStatus('Error: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      renderProfiles(profiles);
+      showStatus(message, 'success');
+    });
+  }
+
+  function renderProfiles(profiles) {
+    profileList.innerHTML = '';
+    profiles.forEach(function(profile) {
+      const item = document.createElement('li');
+      item.className = 'profile-item';
+
+      const name = document.createElement('span');
+      name.className = 'profile-name';
+      name.textContent = '@' + profile.name;
+
+      const url = document.createElement('span');
+      url.className = 'profile-url';
+      url.textContent = profile.url.replace(/^https:\/\//, '');
+      url.title = profile.url;
+
+      const env = document.createElement('span');
+      env.className = `profile-env ${profile.env || ''}`;
+      env.textContent = profile.env || 'auto';
+      env.title = profile.env ? 'Tagged in settings' : 'Detected from the instance';
+
+      const remove = document.createElement('button');
+      remove.className = 'profile-remove';
+      remove.textContent = '×';
+      remove.title = `Remove @${profile.name}`;
+      remove.addEventListener('click', function() {
+        saveProfiles(profiles.filter(p => p !== profile), `Removed @${profile.name}`);
+      });
+
+      item.append(name, url, env, remove);
+      profileList.appendChild(item);
+    });
+  }
+
+  // API retry and rate limit settings, read by GlassAPI in every tab
+  retriesInput.addEventListener('change', saveApiSettings);
+  concurrencyInput.addEventListener('change', saveApiSettings);
+
+  function loadApiSettings() {
+    chrome.storage.sync.get(['apiSettings'], function(result) {
+      const settings = result.apiSettings || {};
+      retriesInput.value = settings.retries !== undefined ? settings.retries : 4;
+      concurrencyInput.value = settings.concurrency !== undefined ? settings.concurrency : 4;
+    });
+  }
+
+  function saveApiSettings() {
+    const retries = Math.min(10, Math.max(0, parseInt(retriesInput.value, 10) || 0));
+    const concurrency = Math.min(20, Math.max(1, parseInt(concurrencyInput.value, 10) || 1));
+    retriesInput.value = retries;
+    concurrencyInput.value = concurrency;
+
+    chrome.storage.sync.set({apiSettings: {retries, concurrency}}, function() {
+      if (chrome.runtime.lastError) {
+        showStatus('Error: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      showStatus('Request settings saved', 'success');
+    });
+  }
+
   function showStatus(message, type) {
     statusDiv.textContent = message;
     statusDiv.className = `status ${type}`;
@@ -3,11 +3,15 @@
  *
  * Check ACL permissions for a user on a table/record/field.
  * Runs a background script to evaluate ACLs and shows detailed results.
+ * Without a table, the form or list being viewed is checked.
  *
- * Usage: acl <username> <table> [record_sys_id] [field]
- * Example: acl admin incident
+ * Usage: acl <username> [table] [record_sys_id] [field]
+ *        acl <username> [table] [--record <sys_id>] [--field <field>]
+ * Example: acl admin
+ *          acl admin incident
  *          acl admin incident a1b2c3d4
  *          acl admin incident a1b2c3d4 short_description
+ *          acl admin incident --field short_description
  */
 
 (function() {
@@ -15,26 +19,25 @@
     name: 'acl',
     aliases: ['security', 'permissions'],
     description: 'Check ACL permissions for a user on a table/record/field',
-    usage: 'acl <username> <table> [record_sys_id] [field]',
+    readOnly: true,
+    args: [
+      { name: 'username', type: 'user', required: true, example: 'admin', description: 'User whose access is evaluated' },
+      { name: 'table', type: 'table', example: 'incident', description: 'Table to check (default: the table being viewed)' },
+      { name: 'record', type: 'sys_id', description: 'sys_id of a specific record' },
+      { name: 'field', type: 'string', description: 'Field to check field-level ACLs for' }
+    ],
+    flags: {
+      record: { type: 'sys_id' },
+      field: { type: 'string' }
+    },
     examples: [
+      'acl admin                            - Check ACLs for admin on the current form or list',
       'acl admin incident                   - Check ACLs for admin user on incident table',
       'acl admin incident a1b2c3d4...            - Check ACLs for admin on specific record',
-      'acl admin incident a1b2c3d4... state      - Check field-level ACLs'
+      'acl admin incident a1b2c3d4... state      - Check field-level ACLs',
+      'acl admin incident --field state          - Check field-level ACLs at table level'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      if (args.length === 0 || args[0].toLowerCase() === 'help') {
-        return 'Usage: acl <username> <table> [record_sys_id] [field]\n\nExamples:\n  acl admin incident\n  acl admin incident abc123\n  acl admin incident abc123 state';
-      }
-      if (args.length < 2) {
-        return 'Usage: acl <username> <table> [record_sys_id] [field]\nBoth username and table are required.';
-      }
-      return true;
-    },
-
     /**
      * Build the background script to check ACLs
      * @param {string} userIdentifier - Username (not sys_id)
@@ -44,12 +47,13 @@
      * @returns {string} - The GlideRecord script
      */
     buildAclScript(userIdentifier, table, recordSysId, fieldName) {
-      return `
+      const script = window.GlassBackgroundScript.script;
+      return script`
 (function () {
-  var USER_IDENTIFIER = "${userIdentifier}";
-  var TABLE = "${table}";
-  var RECORD_SYS_ID = "${recordSysId || ''}";
-  var FIELD_NAME = "${fieldName || ''}";
+  var USER_IDENTIFIER = ${userIdentifier};
+  var TABLE = ${table};
+  var RECORD_SYS_ID = ${recordSysId || ''};
+  var FIELD_NAME = ${fieldName || ''};
   var SCRIPT_PREVIEW_CHARS = 800;
 
   function bool(v) { return v === true; }
@@ -387,6 +391,50 @@
       return html;
     },
 
+    /**
+     * Build the rows the results page exports: one per ACL evaluated
+     * @param {Object} data - ACL check results
+     * @param {string} instanceUrl - instance URL
+     * @returns {{columns: Array<Object>, rows: Array<Object>}}
+     */
+    buildExportData(data, instanceUrl) {
+      const checks = data.checks || {};
+      const aclData = data.acls || {};
+      const rows = [];
+
+      ['read', 'write', 'create', 'delete'].forEach(op => {
+        (aclData[op] || []).forEach(acl => {
+          rows.push({
+            operation: op,
+            allowed: checks[op] === true ? 'yes' : checks[op] === false ? 'no' : '',
+            acl: acl.acl_name,
+            url: `${instanceUrl}/sys_security_acl.do?sys_id=${acl.acl_sys_id}`,
+            type: acl.type,
+            required_roles: (acl.required_roles || []).join(', '),
+            has_role: acl.user_has_required_role ? 'yes' : 'no',
+            likely_blocker: acl.likely_blocker ? 'yes' : 'no',
+            condition: acl.has_condition ? acl.condition : '',
+            script: acl.has_script ? acl.script_preview : ''
+          });
+        });
+      });
+
+      return {
+        columns: [
+          { key: 'operation', label: 'Operation' },
+          { key: 'allowed', label: 'Allowed' },
+          { key: 'acl', label: 'ACL', href: 'url' },
+          { key: 'type', label: 'Type' },
+          { key: 'required_roles', label: 'Required roles' },
+          { key: 'has_role', label: 'Has role' },
+          { key: 'likely_blocker', label: 'May block' },
+          { key: 'condition', label: 'Condition' },
+          { key: 'script', label: 'Script' }
+        ],
+        rows
+      };
+    },
+
     /**
      * Build HTML card for a single ACL
      * @param {Object} acl - ACL data
@@ -471,7 +519,7 @@
      * Execute the acl command
      */
     async execute(args, ctx) {
-      const { ui, context } = ctx;
+      const { ui, context, flags } = ctx;
       const resultsPage = window.GlassResultsPage;
 
       const instanceUrl = await context.getInstanceUrl();
@@ -480,11 +528,22 @@
         return;
       }
 
-      // Parse arguments: username table [record_sys_id] [field]
+      // Parse arguments: username [table] [record_sys_id] [field]
       const user = args[0];
-      const table = args[1];
-      const recordSysId = args[2] || '';
-      const fieldName = args[3] || '';
+      let table = args[1];
+      let recordSysId = flags.record || args[2] || '';
+      const fieldName = flags.field || args[3] || '';
+
+      // No table given: check the record or list being viewed
+      if (!table) {
+        const page = context.getPageContext();
+        if (!page.table) {
+          ui.showError(`No table specified and unable to detect the current table.\nUsage: ${this.usage}`);
+          return;
+        }
+        table = page.table;
+        recordSysId = recordSysId || page.sysId || '';
+      }
 
       // Table name should be internal name (no resolution needed)
       const tableName = table;
@@ -493,8 +552,9 @@
         ui.showInfo('Checking ACL permissions...');
 
         // Execute background script
-        const script = this.buildAclScript(user, tableName, recordSysId, fieldName);
-        const rawHtml = await window.GlassBackgroundScript.execute(script, { instanceUrl });
+        const params = [user, tableName, recordSysId, fieldName];
+        const script = this.buildAclScript(...params);
+        const rawHtml = await window.GlassBackgroundScript.execute(script, { instanceUrl, relay: { name: 'acl', params } });
         
         // Parse results manually
         const cleanedHtml = window.GlassBackgroundScript.cleanHtmlOutput(rawHtml);
@@ -541,10 +601,11 @@
         const html = resultsPage.buildPage({
           title: 'ACL Check Results',
           subtitle: subtitle,
-          content: content
+          content: content,
+          data: this.buildExportData(data, instanceUrl)
         });
 
-        resultsPage.openPage(html);
+        resultsPage.openPage(html, { ctx });
         ui.hide();
 
       } catch (error) {
@@ -557,5 +618,8 @@
   if (window.GlassCommandRegistry) {
     window.GlassCommandRegistry.register(command);
   }
+  if (window.GlassBackgroundScript) {
+    window.GlassBackgroundScript.relayable('acl', (...params) => command.buildAclScript(...params));
+  }
 })();
 
@@ -0,0 +1,322 @@
+/**
+ * Alias Command
+ *
+ * Define your own commands that expand to one or more Glass command lines.
+ * Aliases are stored per instance and registered live, so they show up in
+ * help and autocomplete like any other command.
+ *
+ * Separate several command lines with `;` to build a macro. `$1`..`$9`
+ * are replaced with the alias's arguments and `$@` with all of them; an
+ * alias without placeholders gets its arguments appended to the last line.
+ *
+ * Usage: alias                      - List aliases
+ *        alias <name>               - Show one alias
+ *        alias <name> <command...>  - Define (or redefine) an alias
+ *        alias --remove <name>      - Delete an alias
+ * Example: alias inc 'list incident'
+ *          macro triage 'impersonate $1; filter incident; explode'
+ */
+
+(function() {
+  // Maximum nesting when aliases call other aliases
+  const MAX_DEPTH = 10;
+
+  // Characters that never need quoting when substituted into a command line
+  const SAFE_WORD = /^[\w.\-\/:@=,$%^*+#]+$/;
+
+  const NAME_PATTERN = /^[a-z][a-z0-9_-]*$/i;
+
+  // name -> body for the aliases registered from storage
+  let definitions = {};
+
+  /**
+   * Storage key for the current instance's aliases
+   * @returns {string}
+   */
+  function getStorageKey() {
+    return `glass_aliases_${window.location.hostname}`;
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} str - String to escape
+   * @returns {string} - Escaped string
+   */
+  function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  /**
+   * Quote an argument so it survives re-tokenizing as a single word
+   * @param {string} value - Argument value
+   * @returns {string} - Value, single-quoted if needed
+   */
+  function quoteArg(value) {
+    if (SAFE_WORD.test(value)) return value;
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+
+  /**
+   * Split an alias body into command lines on unquoted `;`
+   * @param {string} body - Alias body
+   * @returns {Array<string>} - Non-empty command lines
+   */
+  function splitLines(body) {
+    const lines = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < body.length; i++) {
+      const ch = body[i];
+
+      if (ch === '\\' && quote !== "'" && i + 1 < body.length) {
+        current += ch + body[++i];
+        continue;
+      }
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === ';') {
+        lines.push(current);
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+    lines.push(current);
+
+    return lines.map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Expand an alias body into the command lines to run
+   * @param {string} body - Alias body
+   * @param {Array<string>} args - Arguments given to the alias
+   * @returns {Array<string>} - Command lines
+   */
+  function expandAlias(body, args) {
+    let usedPlaceholder = false;
+
+    const expanded = body.replace(/\\?\$(@|[1-9])/g, (match, ref) => {
+      if (match.startsWith('\\')) return match;
+      usedPlaceholder = true;
+      if (ref === '@') return args.map(quoteArg).join(' ');
+      const value = args[Number(ref) - 1];
+      return value === undefined ? '' : quoteArg(value);
+    });
+
+    const lines = splitLines(expanded);
+    if (!usedPlaceholder && args.length > 0 && lines.length > 0) {
+      lines[lines.length - 1] += ' ' + args.map(quoteArg).join(' ');
+    }
+    return lines;
+  }
+
+  /**
+   * Build the registry entry for a user alias
+   * @param {string} name - Alias name
+   * @param {string} body - Command line(s) it expands to
+   * @returns {Object} - Command definition
+   */
+  function buildAliasCommand(name, body) {
+    const lines = splitLines(body);
+
+    return {
+      name,
+      aliases: [],
+      description: `${lines.length > 1 ? 'Macro' : 'Alias'} for: ${body}`,
+      usage: `${name} [args...]`,
+      examples: [`${name} - Runs: ${lines.join('; ')}`],
+      userAlias: true,
+      rawArgs: true,
+
+      async execute(args, ctx) {
+        const depth = (ctx.aliasDepth || 0) + 1;
+        if (depth > MAX_DEPTH) {
+          throw new Error(`Alias ${name} nests more than ${MAX_DEPTH} levels deep. Does it call itself?`);
+        }
+
+        // Each line is a fresh command line; drop this stage's pipeline state
+        const { flags, input, piped, ...baseContext } = ctx;
+        for (const line of expandAlias(body, args)) {
+          await window.GlassCommandRegistry.execute(line, { ...baseContext, aliasDepth: depth });
+        }
+      }
+    };
+  }
+
+  /**
+   * Replace the registered aliases with a new set of definitions
+   * @param {Object} next - name -> body
+   */
+  function applyDefinitions(next) {
+    const registry = window.GlassCommandRegistry;
+
+    Object.keys(definitions).forEach(name => {
+      const existing = registry.get(name);
+      if (existing && existing.userAlias) {
+        registry.unregister(name);
+      }
+    });
+
+    definitions = {};
+    Object.keys(next || {}).forEach(name => {
+      const existing = registry.get(name);
+      if (existing && !existing.userAlias) return; // never shadow a built-in
+      registry.register(buildAliasCommand(name, next[name]));
+      definitions[name] = next[name];
+    });
+  }
+
+  /**
+   * Load this instance's aliases from storage and register them
+   */
+  async function loadAliases() {
+    const context = window.GlassContext;
+    if (!context) return;
+    applyDefinitions(await context.get(getStorageKey(), {}));
+  }
+
+  /**
+   * Persist and register a new set of definitions
+   * @param {Object} next - name -> body
+   */
+  async function saveAliases(next) {
+    applyDefinitions(next);
+    await window.GlassContext.store(getStorageKey(), next);
+  }
+
+  /**
+   * Open a results page listing every alias
+   */
+  function showAliasList() {
+    const resultsPage = window.GlassResultsPage;
+    const names = Object.keys(definitions).sort();
+
+    const cards = names.map(name => ({
+      title: escapeHtml(name),
+      subtitle: `<span class="glass-code">${escapeHtml(definitions[name])}</span>`,
+      badge: splitLines(definitions[name]).length > 1 ? 'macro' : ''
+    }));
+
+    const content = resultsPage.buildStats([
+      { value: names.length, label: 'Aliases' }
+    ]) + resultsPage.buildSection('Aliases', resultsPage.buildCardGrid(cards));
+
+    const html = resultsPage.buildPage({
+      title: 'Aliases',
+      subtitle: window.location.hostname,
+      content
+    });
+
+    resultsPage.openPage(html, { history: false });
+  }
+
+  const command = {
+    name: 'alias',
+    aliases: ['macro'],
+    description: 'Define your own commands and multi-step macros',
+    args: [
+      { name: 'name', type: 'string', example: 'inc', description: 'Name of the alias' },
+      { name: 'command', type: 'string', rest: true, example: "'list incident'", description: 'Command line(s) to run, separated by ;' }
+    ],
+    flags: {
+      remove: { type: 'boolean', alias: ['delete', 'rm'], description: 'Delete the named alias' }
+    },
+    // `$table` in a definition expands each time the alias runs
+    keepVariables: true,
+    examples: [
+      "alias                                   - List aliases for this instance",
+      "alias inc 'list incident'               - inc opens the incident list",
+      "alias ff filter                          - ff incident runs filter incident",
+      "macro triage 'impersonate $1; filter incident; explode' - triage bob runs all three",
+      "alias --remove inc                       - Delete the inc alias"
+    ],
+
+    validate(args, flags) {
+      if (flags.remove && args.length !== 1) {
+        return 'Usage: alias --remove <name>';
+      }
+      if (args.length > 0 && !NAME_PATTERN.test(args[0])) {
+        return `Alias names must start with a letter and use only letters, digits, - and _.`;
+      }
+      return true;
+    },
+
+    async execute(args, ctx) {
+      const { ui, flags } = ctx;
+      const registry = window.GlassCommandRegistry;
+
+      if (args.length === 0) {
+        if (Object.keys(definitions).length === 0) {
+          ui.showInfo("No aliases defined yet. Try: alias inc 'list incident'");
+          return;
+        }
+        showAliasList();
+        ui.hide();
+        return;
+      }
+
+      const name = args[0].toLowerCase();
+
+      if (flags.remove) {
+        if (!definitions[name]) {
+          ui.showError(`No alias named ${name}.`);
+          return;
+        }
+        const next = { ...definitions };
+        delete next[name];
+        await saveAliases(next);
+        ui.showSuccess(`Removed alias ${name}.`);
+        return;
+      }
+
+      if (args.length === 1) {
+        if (definitions[name]) {
+          ui.showInfo(`${name} → ${definitions[name]}`);
+        } else {
+          ui.showError(`No alias named ${name}.`);
+        }
+        return;
+      }
+
+      const existing = registry.get(name);
+      if (existing && !existing.userAlias) {
+        ui.showError(`${name} is a built-in command and cannot be redefined.`);
+        return;
+      }
+
+      // A single argument is the quoted body; several are re-quoted word by word
+      const rest = args.slice(1);
+      const body = rest.length === 1 ? rest[0].trim() : rest.map(quoteArg).join(' ');
+      if (splitLines(body).length === 0) {
+        ui.showError('Alias body is empty.');
+        return;
+      }
+
+      await saveAliases({ ...definitions, [name]: body });
+      ui.showSuccess(`${existing ? 'Updated' : 'Defined'} ${name} → ${body}`);
+    }
+  };
+
+  // Register command
+  if (window.GlassCommandRegistry) {
+    window.GlassCommandRegistry.register(command);
+    loadAliases();
+
+    // Keep other tabs on the same instance in sync
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      const change = changes[getStorageKey()];
+      if (namespace === 'sync' && change) {
+        applyDefinitions(change.newValue || {});
+      }
+    });
+  }
+})();
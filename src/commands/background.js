@@ -12,19 +12,11 @@
     name: 'background',
     aliases: ['bg', 'scripts'],
     description: 'Open background scripts page',
-    usage: 'background',
+    args: [],
     examples: [
       'background - Open the background scripts interface'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // No arguments needed
-      return true;
-    },
-
     /**
      * Execute the background command
      */
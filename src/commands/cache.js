@@ -13,19 +13,12 @@
     name: 'cache',
     aliases: ['flush', 'clearcache'],
     description: 'Clear platform caches',
-    usage: 'cache',
+    mutating: true,
+    args: [],
     examples: [
       'cache - Clear all platform caches'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // No arguments needed
-      return true;
-    },
-
     /**
      * Execute the cache command
      */
@@ -1,7 +1,7 @@
 /**
  * Clear Command
  * 
- * Clear the command history.
+ * Clear the command history, including the history stored for this instance.
  * 
  * Usage: clear
  */
@@ -11,9 +11,9 @@
     name: 'clear',
     aliases: ['cls'],
     description: 'Clear command history',
-    usage: 'clear',
+    args: [],
     examples: [
-      'clear - Clear the command history'
+      'clear - Clear the command history saved for this instance'
     ],
 
     /**
@@ -20,6 +20,7 @@
  *   script "setWorkflow(false)"
  *   script "setWorkflow(false)" --per-field 1000 --max-hits 10000
  *   code "gs.eventQueue" --include-comments
+ *   code gs.sleep | list
  */
 
 (function () {
@@ -46,43 +47,6 @@
         .replace(/'/g, '&#039;');
     }
   
-    function parseArgs(args) {
-      const flags = {
-        includeComments: false,
-        perField: DEFAULT_PER_FIELD,
-        maxHits: DEFAULT_MAX_HITS
-      };
-  
-      const terms = [];
-  
-      for (let i = 0; i < args.length; i++) {
-        const a = args[i];
-  
-        if (a === '--include-comments') {
-          flags.includeComments = true;
-          continue;
-        }
-  
-        if (a === '--per-field' || a === '--perfield') {
-          const n = Number(args[i + 1]);
-          if (Number.isFinite(n) && n > 0) flags.perField = n;
-          i++;
-          continue;
-        }
-  
-        if (a === '--max-hits' || a === '--maxhits') {
-          const n = Number(args[i + 1]);
-          if (Number.isFinite(n) && n > 0) flags.maxHits = n;
-          i++;
-          continue;
-        }
-  
-        terms.push(a);
-      }
-  
-      return { term: terms.join(' ').trim(), flags };
-    }
-  
     function cacheKey(instanceUrl) {
       return `glass:scriptFields:${FIELD_CACHE_VERSION}:${instanceUrl}`;
     }
@@ -116,15 +80,16 @@
       const perFieldLimit = Number(options.perFieldLimit || DEFAULT_PER_FIELD);
       const maxHits = Number(options.maxHits || DEFAULT_MAX_HITS);
   
-      const termJson = JSON.stringify(term);
-      const fieldsJson = JSON.stringify(Array.isArray(cachedFields) ? cachedFields : null);
+      const fields = Array.isArray(cachedFields) ? cachedFields : null;
       const includeComments = flags.includeComments === true;
+      const script = window.GlassBackgroundScript.script;
   
       // NOTE: We cannot perfectly strip JS comments with regex (strings can contain //),
       // but this is best-effort and very useful in practice.
-      return `
+      return script`
   (function() {
-    var TERM = ${termJson};
+    var TERM = ${term};
+    var CACHED_FIELDS = ${fields};
     var INCLUDE_COMMENTS = ${includeComments};
     var PER_FIELD_LIMIT = ${perFieldLimit};
     var MAX_HITS = ${maxHits};
@@ -199,7 +164,7 @@
       return out;
     }
   
-    var fields = ${fieldsJson} || discoverFields();
+    var fields = CACHED_FIELDS || discoverFields();
   
     var totalHits = 0;
     var fieldsScanned = 0;
@@ -213,7 +178,7 @@
       per_field_limit: PER_FIELD_LIMIT,
       max_hits: MAX_HITS,
       fields_found: fields.length,
-      fields_source: (${fieldsJson} ? 'cache' : 'discovered')
+      fields_source: (CACHED_FIELDS ? 'cache' : 'discovered')
     }));
   
     for (var i = 0; i < fields.length; i++) {
@@ -299,7 +264,7 @@
     /* ===========================
      * Results Page
      * =========================== */
-    function renderResultsPage(instanceUrl, meta, hits, stats) {
+    function renderResultsPage(instanceUrl, meta, hits, stats, ctx) {
       const title = 'Script / Code Search';
   
       const subtitle =
@@ -316,28 +281,17 @@
         { value: String(stats?.total_hits ?? 0), label: 'Total hits' }
       ];
   
-      const cards = hits.map((h) => {
-        const display = h.number || h.display || h.sys_id;
-  
-        const recordUrl = instanceUrl + (h.record_path || '');
-        const listUrl = instanceUrl + (h.list_path || '');
-  
-        const subtitleLine =
-          `${escapeHtml(h.table_label || h.table)} <span class="glass-code">${escapeHtml(h.table)}</span><br>` +
-          `${escapeHtml(h.field_label || h.field)} <span class="glass-code">${escapeHtml(h.field)}</span> ` +
-          `<span class="glass-code">${escapeHtml(h.internal_type || '')}</span>`;
-  
-        const links =
-          `<a href="${escapeHtml(recordUrl)}" target="_blank" rel="noopener">Open record</a>` +
-          ` &nbsp;|&nbsp; ` +
-          `<a href="${escapeHtml(listUrl)}" target="_blank" rel="noopener">Open list (field LIKE)</a>`;
-  
-        return {
-          title: escapeHtml(display),
-          subtitle: subtitleLine,
-          meta: `${escapeHtml(h.sys_id)}<br>${links}`
-        };
-      });
+      const rows = hits.map((h) => ({
+        record: h.number || h.display || h.sys_id,
+        record_url: instanceUrl + (h.record_path || ''),
+        table_label: h.table_label || h.table,
+        table: h.table,
+        field: h.field_label ? `${h.field_label} (${h.field})` : h.field,
+        type: h.internal_type || '',
+        sys_id: h.sys_id,
+        list: 'field LIKE',
+        list_url: instanceUrl + (h.list_path || '')
+      }));
   
       const content =
         window.GlassResultsPage.buildSection(
@@ -346,14 +300,20 @@
         ) +
         window.GlassResultsPage.buildSection(
           'Results',
-          cards.length
-            ? window.GlassResultsPage.buildCardGrid(cards)
-            : `<div class="glass-card">
-                 <div class="glass-card-title">No results</div>
-                 <div class="glass-card-subtitle">
-                   Either the term isn't present, or it only appears inside comments and you didn't pass <span class="glass-code">--include-comments</span>.
-                 </div>
-               </div>`
+          window.GlassResultsPage.buildDataTable({
+            columns: [
+              { key: 'record', label: 'Record', href: 'record_url' },
+              { key: 'table_label', label: 'Table' },
+              { key: 'table', label: 'Table name', mono: true },
+              { key: 'field', label: 'Field' },
+              { key: 'type', label: 'Type', mono: true },
+              { key: 'sys_id', label: 'sys_id', mono: true },
+              { key: 'list', label: 'List', href: 'list_url' }
+            ],
+            rows,
+            groupBy: ['table', 'field'],
+            empty: `Either the term isn't present, or it only appears inside comments and you didn't pass <span class="glass-code">--include-comments</span>.`
+          })
         );
   
       const html = window.GlassResultsPage.buildPage({
@@ -363,7 +323,7 @@
         footer: 'Glass CLI — code / script'
       });
   
-      window.GlassResultsPage.openPage(html);
+      window.GlassResultsPage.openPage(html, { ctx });
     }
   
     /* ===========================
@@ -373,23 +333,26 @@
       name: 'code',
       aliases: ['script'],
       description: 'Search script-capable fields (comment matches excluded by default)',
-      usage: 'code <term> [--include-comments] [--per-field N] [--max-hits N]',
+      readOnly: true,
+      produces: true,
+      args: [
+        { name: 'term', type: 'string', required: true, rest: true, minLength: 2, example: 'gs.sleep', description: 'Text to search for in script fields' }
+      ],
+      flags: {
+        includeComments: { type: 'boolean' },
+        perField: { type: 'number', alias: ['perfield'], default: DEFAULT_PER_FIELD, min: 1 },
+        maxHits: { type: 'number', alias: ['maxhits'], default: DEFAULT_MAX_HITS, min: 1 }
+      },
       examples: [
         'script "setWorkflow(false)"',
         'script "setWorkflow(false)" --per-field 1000 --max-hits 10000',
-        'code "gs.eventQueue" --include-comments'
+        'code "gs.eventQueue" --include-comments',
+        'code gs.sleep | list'
       ],
   
-      validate(args) {
-        const { term } = parseArgs(args);
-        if (!term) return 'Usage: code <term> [--include-comments] [--per-field N] [--max-hits N]';
-        if (term.length < 2) return 'Search term too short.';
-        return true;
-      },
-  
       async execute(args, ctx) {
-        const { ui, context } = ctx;
-        const { term, flags } = parseArgs(args);
+        const { ui, context, flags } = ctx;
+        const term = args.join(' ').trim();
   
         const instanceUrl = await context.getInstanceUrl();
         if (!instanceUrl) {
@@ -410,19 +373,20 @@
   
         ui.showInfo(cachedFields ? 'Searching script fields (cached field list)...' : 'Searching script fields (discovering fields)...');
   
-        const script = buildScriptFieldSearchScript(
+        const params = [
           term,
-          flags,
+          { includeComments: flags.includeComments === true },
           cachedFields,
           { perFieldLimit: flags.perField, maxHits: flags.maxHits }
-        );
+        ];
+        const script = buildScriptFieldSearchScript(...params);
   
         try {
           const rows = await window.GlassBackgroundScript.executeAndParse(
             script,
             '###RESULTS###',
             '###END###',
-            { instanceUrl, timeout: 240000 }
+            { instanceUrl, timeout: 240000, relay: { name: 'code', params } }
           );
   
           let meta = null;
@@ -440,10 +404,20 @@
             saveFieldCache(instanceUrl, stats.fields_payload);
           }
   
+          if (ctx.piped) {
+            ui.showInfo(`Piping ${hits.length} hit(s)...`);
+            return hits.map((h) => ({
+              table: h.table,
+              sys_id: h.sys_id,
+              display: h.number || h.display || h.sys_id,
+              fields: { number: h.number, field: h.field, table_label: h.table_label }
+            }));
+          }
+  
           ui.showSuccess(`Done. Hits: ${stats?.total_hits ?? hits.length}`);
           ui.hide();
   
-          renderResultsPage(instanceUrl, meta, hits, stats);
+          renderResultsPage(instanceUrl, meta, hits, stats, ctx);
         } catch (error) {
           ui.showError(`Script search failed: ${error.message}`);
         }
@@ -451,5 +425,6 @@
     };
   
     window.GlassCommandRegistry?.register(command);
+    window.GlassBackgroundScript?.relayable('code', buildScriptFieldSearchScript);
   })();
   
\ No newline at end of file
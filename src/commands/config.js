@@ -13,23 +13,16 @@
     name: 'config',
     aliases: ['personalize', 'configure'],
     description: 'Open table configuration/personalization',
-    usage: 'config <table_name>',
+    readOnly: true,
+    args: [
+      { name: 'table', type: 'table', required: true, rest: true, example: 'incident', description: 'Table name or label' }
+    ],
     examples: [
       'config incident    - Open incident table configuration',
       'config user        - Open sys_user table configuration',
       'config change      - Open change_request configuration'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      if (args.length === 0) {
-        return 'Usage: config <table_name>';
-      }
-      return true;
-    },
-
     /**
      * Execute the config command
      */
@@ -13,23 +13,15 @@
     name: 'do',
     aliases: ['new', 'create'],
     description: 'Open a table form (new record)',
-    usage: 'do <table_name>',
+    args: [
+      { name: 'table', type: 'table', required: true, rest: true, example: 'incident', description: 'Table name or label' }
+    ],
     examples: [
       'do incident    - Open new incident form',
       'do user        - Open new user form',
       'do change      - Open new change request form'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      if (args.length === 0) {
-        return 'Usage: do <table_name>';
-      }
-      return true;
-    },
-
     /**
      * Execute the do command
      */
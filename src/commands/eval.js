@@ -0,0 +1,228 @@
+/**
+ * Eval Command
+ *
+ * Run an arbitrary background script without leaving the page.
+ * Without arguments a multi-line editor opens in the overlay; the printed
+ * output (gs.print / gs.info) is shown on a results page. The last scripts
+ * are kept per instance in a scratchpad you can recall from the editor.
+ *
+ * Usage: eval                              - Open the editor
+ *        eval '<script>'                   - Run a one-line script
+ *        eval --last                       - Run the most recent script again
+ *        eval --scope x_acme_app           - Open the editor in a scope
+ * Example: eval 'gs.info(gs.getUserName())'
+ */
+
+(function() {
+  // Number of scripts kept in the scratchpad
+  const SCRATCHPAD_SIZE = 20;
+
+  /**
+   * Escape HTML special characters
+   * @param {string} str - String to escape
+   * @returns {string} - Escaped string
+   */
+  function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // Storage key for the scratchpad (instance-specific)
+  function getScratchpadKey() {
+    return `glass_scratchpad_${window.location.hostname}`;
+  }
+
+  /**
+   * Load the scratchpad, most recent first
+   * @param {Object} context - Glass context
+   * @returns {Promise<Array<{script: string, scope: string, ranAt: number}>>}
+   */
+  async function loadScratchpad(context) {
+    const entries = await context.getLocal(getScratchpadKey(), []);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Put a script at the top of the scratchpad, dropping older copies
+   * @param {Object} context - Glass context
+   * @param {string} script - Script that was run
+   * @param {string} scope - Scope name it ran in
+   */
+  async function saveToScratchpad(context, script, scope) {
+    const entries = await loadScratchpad(context);
+    const next = [
+      { script, scope, ranAt: Date.now() },
+      ...entries.filter(entry => entry.script !== script)
+    ].slice(0, SCRATCHPAD_SIZE);
+    await context.storeLocal(getScratchpadKey(), next);
+  }
+
+  /**
+   * Resolve a scope name (or sys_id) to the sys_id sys.scripts.do expects
+   * @param {string} scope - Scope name such as "global" or "x_acme_app"
+   * @param {string} instanceUrl - Instance URL
+   * @param {Object} api - Glass API service
+   * @returns {Promise<string>} - Scope sys_id ("global" for the global scope)
+   */
+  async function resolveScope(scope, instanceUrl, api) {
+    if (!scope || scope.toLowerCase() === 'global') return 'global';
+    if (/^[0-9a-f]{32}$/i.test(scope)) return scope;
+    // A ^ would add conditions of its own to the sys_scope query
+    if (scope.includes('^')) {
+      throw new Error(`Application scope "${scope}" is not a scope name.`);
+    }
+
+    const scopes = await api.tableGet(instanceUrl, 'sys_scope', {
+      query: `scope=${scope}^ORname=${scope}`,
+      fields: ['sys_id'],
+      limit: 1
+    });
+    if (!scopes[0]) {
+      throw new Error(`Application scope "${scope}" not found.`);
+    }
+    return scopes[0].sys_id;
+  }
+
+  /**
+   * Open a results page with the script and its output
+   * @param {string} script - Script that was run
+   * @param {string} scope - Scope name it ran in
+   * @param {Array<string>} lines - Output lines
+   * @param {number} elapsed - Run time in ms
+   * @param {Object} ctx - Execution context of the command (for the results history)
+   */
+  function showOutput(script, scope, lines, elapsed, ctx) {
+    const resultsPage = window.GlassResultsPage;
+
+    const statsHtml = resultsPage.buildStats([
+      { value: lines.length, label: 'Output Lines' },
+      { value: `${(elapsed / 1000).toFixed(1)}s`, label: 'Run Time' },
+      { value: escapeHtml(scope || 'global'), label: 'Scope' }
+    ]);
+
+    const output = lines.length > 0
+      ? `<pre>${escapeHtml(lines.join('\n'))}</pre>`
+      : '<div class="glass-card"><div class="glass-card-subtitle">The script printed nothing. Use gs.info() or gs.print() to show values.</div></div>';
+
+    const content = statsHtml +
+      resultsPage.buildSection('Output', output) +
+      resultsPage.buildSection('Script', `<pre>${escapeHtml(script)}</pre>`);
+
+    const html = resultsPage.buildPage({
+      title: 'Background Script',
+      subtitle: escapeHtml(script.split('\n')[0].slice(0, 120)),
+      content
+    });
+
+    resultsPage.openPage(html, { ctx });
+  }
+
+  /**
+   * Run a script in a scope and open its output on a results page
+   * Shared with the snippet command.
+   * @param {string} script - Server-side script
+   * @param {string} scopeName - Scope name or sys_id ("global" when empty)
+   * @param {Object} ctx - Execution context ({ ui, api, context })
+   * @returns {Promise<Array<string>|null>} - Output lines, or null if the run failed
+   */
+  async function runScript(script, scopeName, ctx) {
+    const { ui, api, context } = ctx;
+    const scope = scopeName || 'global';
+
+    const instanceUrl = await context.getInstanceUrl();
+    if (!instanceUrl) {
+      ui.showError('Unable to detect instance.');
+      return null;
+    }
+
+    ui.showInfo(`Running script in ${scope}...`);
+
+    try {
+      const scopeId = await resolveScope(scope, instanceUrl, api);
+
+      const started = Date.now();
+      const html = await window.GlassBackgroundScript.execute(script, { instanceUrl, scope: scopeId });
+      const lines = window.GlassBackgroundScript.extractScriptOutput(html);
+
+      showOutput(script, scope, lines, Date.now() - started, ctx);
+      ui.showSuccess(`Script finished with ${lines.length} output line${lines.length === 1 ? '' : 's'}.`);
+      return lines;
+    } catch (error) {
+      ui.showError(`Script failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Expose the runner for other script commands
+  window.GlassRunScript = runScript;
+
+  const command = {
+    name: 'eval',
+    aliases: ['bgs', 'js'],
+    description: 'Run a background script and show its output',
+    mutating: true,
+    args: [
+      { name: 'script', type: 'string', rest: true, example: "'gs.info(gs.getUserName())'", description: 'One-line script (opens the editor when omitted)' }
+    ],
+    flags: {
+      scope: { type: 'string', description: 'Application scope to run in (default: global)' },
+      last: { type: 'boolean', description: 'Run the most recent scratchpad script again' }
+    },
+    examples: [
+      'eval                               - Open the script editor',
+      "eval 'gs.info(gs.getUserName())'   - Run a one-line script",
+      'eval --scope x_acme_app            - Open the editor in the x_acme_app scope',
+      'eval --last                        - Run the last script again'
+    ],
+
+    validate(args, flags) {
+      if (flags.scope && flags.scope.includes('^')) {
+        return `--scope takes a scope name or sys_id, got "${flags.scope}".`;
+      }
+      return true;
+    },
+
+    async execute(args, ctx) {
+      const { ui, context, flags } = ctx;
+
+      const scratchpad = await loadScratchpad(context);
+      let script = args.join(' ');
+      let scopeName = flags.scope || '';
+
+      if (flags.last) {
+        if (scratchpad.length === 0) {
+          ui.showError('The scratchpad is empty. Run a script first.');
+          return;
+        }
+        script = scratchpad[0].script;
+        scopeName = flags.scope || scratchpad[0].scope;
+      } else if (!script.trim()) {
+        const edited = await ui.openEditor({
+          title: 'Background script',
+          value: scratchpad[0] ? scratchpad[0].script : '',
+          scope: scopeName || (scratchpad[0] && scratchpad[0].scope) || 'global',
+          recent: scratchpad
+        });
+        if (!edited) {
+          return;
+        }
+        script = edited.script;
+        scopeName = edited.scope;
+      }
+
+      scopeName = scopeName || 'global';
+      await saveToScratchpad(context, script, scopeName);
+      await runScript(script, scopeName, ctx);
+    }
+  };
+
+  // Register command
+  if (window.GlassCommandRegistry) {
+    window.GlassCommandRegistry.register(command);
+  }
+})();
@@ -16,7 +16,7 @@
     name: 'explode',
     aliases: ['ex', 'reveal', 'tn'],
     description: 'Show technical names for fields, columns, and option values',
-    usage: 'explode',
+    args: [],
     examples: [
       'explode   - Show all technical field names and option values'
     ],
@@ -0,0 +1,116 @@
+/**
+ * Failures Command
+ *
+ * Report the API requests of this tab that failed after their retries,
+ * grouped by the command that made them, so a half-finished mirror or
+ * separate shows exactly which writes did not go through.
+ *
+ * Usage: failures [command] [--clear]
+ * Example: failures mirror
+ */
+
+(function() {
+  /**
+   * Open a results page with the failed requests
+   * @param {Array<Object>} failures - Failed requests, newest first
+   * @param {string} [commandName] - Command the report is limited to
+   * @param {Object} ctx - Execution context of the command (for the results history)
+   */
+  function showFailures(failures, commandName, ctx) {
+    const resultsPage = window.GlassResultsPage;
+
+    const byCommand = {};
+    failures.forEach(f => {
+      const name = f.command || '(no command)';
+      byCommand[name] = (byCommand[name] || 0) + 1;
+    });
+
+    const rows = failures.map(f => ({
+      command: f.command || '(no command)',
+      time: new Date(f.at).toLocaleTimeString(),
+      method: f.method,
+      url: f.url,
+      status: f.status === undefined ? '' : String(f.status),
+      attempts: f.attempts,
+      error: f.error
+    }));
+
+    const content = resultsPage.buildStats([
+      { value: failures.length, label: 'Failed Requests' },
+      ...Object.entries(byCommand).map(([name, count]) => ({ value: count, label: name }))
+    ]) + resultsPage.buildSection('Failed Requests', resultsPage.buildDataTable({
+      columns: [
+        { key: 'command', label: 'Command', mono: true },
+        { key: 'time', label: 'Time' },
+        { key: 'method', label: 'Method', mono: true },
+        { key: 'url', label: 'URL', mono: true },
+        { key: 'status', label: 'Status' },
+        { key: 'attempts', label: 'Attempts' },
+        { key: 'error', label: 'Error' }
+      ],
+      rows,
+      groupBy: ['command', 'status']
+    }));
+
+    const html = resultsPage.buildPage({
+      title: commandName ? `Failed Requests: ${commandName}` : 'Failed Requests',
+      subtitle: `${window.location.hostname} · this tab`,
+      content
+    });
+
+    resultsPage.openPage(html, { ctx });
+  }
+
+  const command = {
+    name: 'failures',
+    aliases: ['errors', 'failed'],
+    description: 'Show API requests that failed, grouped by command',
+    args: [
+      { name: 'command', type: 'string', example: 'mirror', description: 'Only the failures of this command' }
+    ],
+    flags: {
+      clear: { type: 'boolean', description: 'Forget the recorded failures' }
+    },
+    examples: [
+      'failures          - Failed requests of every command',
+      'failures mirror   - Failed requests of mirror',
+      'failures --clear  - Forget the recorded failures'
+    ],
+
+    /**
+     * Execute the failures command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} ctx - Execution context
+     */
+    async execute(args, ctx) {
+      const { ui, api, flags } = ctx;
+
+      if (flags.clear) {
+        api.clearFailures();
+        ui.showSuccess('Cleared the recorded failures.', 3000);
+        return;
+      }
+
+      const registry = window.GlassCommandRegistry;
+      const target = args[0] ? registry.get(args[0]) : null;
+      if (args[0] && !target) {
+        ui.showError(`Unknown command: ${args[0]}.`);
+        return;
+      }
+
+      const failures = api.getFailures(target ? target.name : undefined);
+      if (failures.length === 0) {
+        ui.showInfo(target ? `No failed requests from ${target.name} in this tab.` : 'No failed requests in this tab.');
+        return;
+      }
+
+      showFailures(failures, target ? target.name : null, ctx);
+      ui.hide();
+    }
+  };
+
+  // Register command
+  if (window.GlassCommandRegistry) {
+    window.GlassCommandRegistry.register(command);
+  }
+})();
@@ -13,23 +13,16 @@
     name: 'filter',
     aliases: ['f', 'query'],
     description: 'Open a table list with filter panel',
-    usage: 'filter <table_name>',
+    readOnly: true,
+    args: [
+      { name: 'table', type: 'table', required: true, rest: true, example: 'incident', description: 'Table name or label' }
+    ],
     examples: [
       'filter incident    - Open incident list with filter',
       'filter user        - Open user list with filter',
       'filter change      - Open change list with filter'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      if (args.length === 0) {
-        return 'Usage: filter <table_name>';
-      }
-      return true;
-    },
-
     /**
      * Execute the filter command
      */
@@ -25,11 +25,32 @@
       .replace(/'/g, '&#039;');
   }
 
+  /**
+   * Describe the type of an argument or flag for the help page
+   * @param {Object} def - Argument or flag definition
+   * @returns {string} - e.g. "number (min 1)" or "one of: json, csv"
+   */
+  function describeType(def) {
+    const type = def.type || 'string';
+    if (type === 'enum' && def.values) {
+      return `one of: ${def.values.join(', ')}`;
+    }
+    if (type === 'number' && def.min !== undefined) {
+      return `number (min ${def.min})`;
+    }
+    if (type === 'flag') {
+      return 'boolean';
+    }
+    return type;
+  }
+
   const command = {
     name: 'help',
     aliases: ['h', '?'],
     description: 'Show help information',
-    usage: 'help [command]',
+    args: [
+      { name: 'command', type: 'string', autocomplete: 'command', example: 'list', description: 'Command to show details for' }
+    ],
     examples: [
       'help           - Show all available commands',
       'help list      - Show help for the list command',
@@ -52,7 +73,8 @@
 
         if (!cmd) {
           const { ui } = ctx;
-          ui.showError(`Unknown command: ${cmdName}`);
+          const suggestion = registry.suggest(cmdName);
+          ui.showError(`Unknown command: ${cmdName}${suggestion ? `. Did you mean \`${suggestion}\`?` : ''}`);
           return;
         }
 
@@ -77,9 +99,44 @@
           `);
         }
 
-        // Examples section
-        if (cmd.examples && cmd.examples.length > 0) {
-          const exampleCards = cmd.examples.map(ex => {
+        // Arguments section (from the command's schema)
+        if (cmd.args && cmd.args.length > 0) {
+          const argCards = cmd.args.map(def => ({
+            title: escapeHtml(def.rest ? `${def.name}...` : def.name),
+            subtitle: escapeHtml(def.description || ''),
+            meta: escapeHtml(describeType(def)),
+            badge: def.required ? 'required' : 'optional'
+          }));
+          content += resultsPage.buildSection('Arguments',
+            argCards.map(c => resultsPage.buildCard(c)).join('')
+          );
+        }
+
+        // Flags section
+        const flagKeys = Object.keys(cmd.flags || {}).filter(key => !cmd.flags[key].hidden);
+        if (flagKeys.length > 0) {
+          const flagCards = flagKeys.map(key => {
+            const def = cmd.flags[key];
+            const meta = [describeType(def)];
+            if (def.alias && def.alias.length > 0) meta.push(`alias: ${def.alias.map(a => `--${a}`).join(', ')}`);
+            if (def.default !== undefined) meta.push(`default: ${def.default}`);
+            return {
+              title: escapeHtml(`--${key.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}`),
+              subtitle: escapeHtml(def.description || ''),
+              meta: escapeHtml(meta.join(' · '))
+            };
+          });
+          content += resultsPage.buildSection('Flags',
+            flagCards.map(c => resultsPage.buildCard(c)).join('')
+          );
+        }
+
+        // Examples section (generated from the schema when none are written)
+        const examples = cmd.examples && cmd.examples.length > 0
+          ? cmd.examples
+          : [registry.formatExample(cmd)].filter(Boolean);
+        if (examples.length > 0) {
+          const exampleCards = examples.map(ex => {
             const parts = ex.split(' - ');
             return {
               title: escapeHtml(parts[0] || ex),
@@ -97,7 +154,7 @@
           content: content
         });
 
-        resultsPage.openPage(html);
+        resultsPage.openPage(html, { history: false });
 
       } else {
         // Show all commands
@@ -117,10 +174,20 @@
           badge: cmd.aliases && cmd.aliases.length > 0 ? escapeHtml(cmd.aliases.join(', ')) : ''
         }));
 
-        const content = statsHtml + resultsPage.buildSection('Available Commands', 
+        let content = statsHtml + resultsPage.buildSection('Available Commands', 
           resultsPage.buildCardGrid(commandCards)
         );
 
+        // Variables expanded in every command line
+        const variableCards = registry.getVariables().map(variable => ({
+          title: `$${escapeHtml(variable.name)}`,
+          subtitle: escapeHtml(variable.description),
+          meta: variable.example ? `e.g. ${escapeHtml(variable.example)}` : ''
+        }));
+        if (variableCards.length > 0) {
+          content += resultsPage.buildSection('Variables', resultsPage.buildCardGrid(variableCards));
+        }
+
         // Tips section
         const tipsContent = `
           <div class="glass-card">
@@ -128,8 +195,11 @@
             <div class="glass-card-subtitle">
               • Use <span class="glass-code">Tab</span> for auto-completion<br>
               • Use <span class="glass-code">↑/↓</span> arrows for command history<br>
+              • Press <span class="glass-code">Ctrl+R</span> to search command history (again for older matches)<br>
               • Press <span class="glass-code">Escape</span> to close the CLI<br>
-              • Type <span class="glass-code">help &lt;command&gt;</span> for detailed help
+              • Type <span class="glass-code">help &lt;command&gt;</span> or <span class="glass-code">&lt;command&gt; --help</span> for detailed help<br>
+              • Use variables like <span class="glass-code">random $table</span> to reuse what the page shows<br>
+              • Prefix read-only commands with an instance profile, like <span class="glass-code">@prod list incident</span>
             </div>
           </div>
         `;
@@ -142,7 +212,7 @@
           content: fullContent
         });
 
-        resultsPage.openPage(html);
+        resultsPage.openPage(html, { history: false });
       }
 
       ctx.ui.hide();
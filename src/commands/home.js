@@ -12,19 +12,12 @@
     name: 'home',
     aliases: [],
     description: 'Navigate to the instance home page',
-    usage: 'home',
+    readOnly: true,
+    args: [],
     examples: [
       'home - Go to the platform home page'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // No arguments needed
-      return true;
-    },
-
     /**
      * Execute the home command
      */
@@ -6,43 +6,143 @@
  * 
  * Usage: impersonate <username>
  *        impersonate end
+ *        <producer> | impersonate
  * Example: impersonate admin
+ *          online | impersonate
  */
 
 (function() {
   // Keywords that trigger end impersonation
   const END_KEYWORDS = ['end', 'exit', 'stop', 'quit', 'off', 'clear'];
 
+  /**
+   * Pick the username to impersonate from piped records
+   * Uses the first record carrying a user_name, falling back to a sys_user lookup.
+   * @param {Array<Object>} records - Upstream records
+   * @param {string} instanceUrl - instance URL
+   * @param {Object} api - Glass API service
+   * @returns {Promise<string|null>} - Username or null if none found
+   */
+  async function usernameFromRecords(records, instanceUrl, api) {
+    const named = records.find(r => r.fields && r.fields.user_name);
+    if (named) {
+      return named.fields.user_name;
+    }
+
+    const userRecord = records.find(r => r.table === 'sys_user' && r.sys_id);
+    if (!userRecord) {
+      return null;
+    }
+
+    const users = await api.tableGet(instanceUrl, 'sys_user', {
+      query: `sys_id=${userRecord.sys_id}`,
+      fields: ['user_name'],
+      limit: 1
+    });
+    return users[0] ? users[0].user_name : null;
+  }
+
+  // Users already looked up for autocomplete, keyed by lowercase prefix
+  const userLookups = new Map();
+  const USER_LOOKUP_LIMIT = 10;
+  const USER_LOOKUP_CACHE_SIZE = 50;
+
+  /**
+   * Look up active users whose user_name or name starts with a prefix
+   * Results are cached per prefix and announced with a
+   * `glass:suggestions-updated` event so the CLI can refresh its hint.
+   * @param {string} prefix - Text typed so far
+   * @returns {Promise<Array<{name: string, user_name: string}>>}
+   */
+  async function fetchMatchingUsers(prefix) {
+    const key = prefix.toLowerCase();
+    const api = window.GlassAPI;
+    const context = window.GlassContext;
+    if (!api || !context) return [];
+
+    const instanceUrl = await context.getInstanceUrl();
+    if (!instanceUrl) return [];
+
+    // '^' would start a new encoded query condition
+    const term = prefix.replace(/\^/g, '');
+    let users = [];
+    try {
+      users = await api.tableGet(instanceUrl, 'sys_user', {
+        query: `active=true^user_nameSTARTSWITH${term}^ORnameSTARTSWITH${term}^ORDERBYuser_name`,
+        fields: ['user_name', 'name'],
+        limit: USER_LOOKUP_LIMIT
+      });
+    } catch (e) {
+      userLookups.delete(key);
+      return [];
+    }
+
+    const matches = users
+      .filter(u => u.user_name)
+      .map(u => ({ name: u.name || u.user_name, user_name: u.user_name }));
+
+    if (userLookups.size >= USER_LOOKUP_CACHE_SIZE) {
+      userLookups.delete(userLookups.keys().next().value);
+    }
+    userLookups.set(key, matches);
+    window.dispatchEvent(new CustomEvent('glass:suggestions-updated', { detail: { type: 'user', prefix } }));
+
+    return matches;
+  }
+
+  /**
+   * Find users matching a prefix for autocomplete
+   * Returns whatever is cached right away and starts a lookup for new prefixes.
+   * @param {string} input - Text typed so far
+   * @returns {Array<{name: string, user_name: string}>} - Matching users
+   */
+  function findMatchingUsers(input) {
+    if (!input) return [];
+    const key = input.toLowerCase();
+
+    const cached = userLookups.get(key);
+    if (cached) return cached;
+
+    // Mark the prefix as pending so typing doesn't queue duplicate lookups
+    userLookups.set(key, []);
+    fetchMatchingUsers(input);
+
+    // Narrow down the longest cached shorter prefix meanwhile
+    for (let i = key.length - 1; i > 0; i--) {
+      const shorter = userLookups.get(key.slice(0, i));
+      if (shorter && shorter.length > 0) {
+        return shorter.filter(u =>
+          u.user_name.toLowerCase().startsWith(key) || u.name.toLowerCase().startsWith(key)
+        );
+      }
+    }
+    return [];
+  }
+
+  // Expose user lookup globally for UI suggestions
+  window.GlassFindMatchingUsers = findMatchingUsers;
+
   const command = {
     name: 'impersonate',
     aliases: ['imp', 'su'],
     description: 'Impersonate a user by username or end impersonation',
-    usage: 'impersonate <username|end>',
+    args: [
+      { name: 'username', type: 'user', required: true, example: 'admin', description: "User to impersonate, or 'end' to stop impersonating" }
+    ],
+    consumes: true,
     examples: [
       'impersonate admin       - Impersonate the admin user',
       'impersonate john.doe    - Impersonate user john.doe',
-      'impersonate end         - End current impersonation'
+      'impersonate end         - End current impersonation',
+      'online | impersonate    - Impersonate the first piped user'
     ],
 
-    /**
-     * Validate arguments
-     * @param {Array<string>} args - Command arguments
-     * @returns {true|string} - true if valid, error message if invalid
-     */
-    validate(args) {
-      if (args.length === 0) {
-        return 'Usage: impersonate <username|end>';
-      }
-      return true;
-    },
-
     /**
      * Execute the impersonate command
      * @param {Array<string>} args - Command arguments
      * @param {Object} ctx - Execution context
      */
     async execute(args, ctx) {
-      const target = args[0].toLowerCase();
       const { ui, api, context } = ctx;
 
       const instanceUrl = await context.getInstanceUrl();
@@ -51,6 +151,17 @@
         return;
       }
 
+      let username = args[0];
+      if (!username && ctx.input) {
+        username = await usernameFromRecords(ctx.input, instanceUrl, api);
+        if (!username) {
+          ui.showError('None of the piped records is a user.');
+          return;
+        }
+      }
+
+      const target = username.toLowerCase();
+
       // Check if user wants to end impersonation
       if (END_KEYWORDS.includes(target)) {
         ui.showSuccess('Ending impersonation...');
@@ -68,7 +179,6 @@
       }
 
       // Normal impersonation flow
-      const username = args[0];
       ui.showSuccess(`Impersonating user: ${username}...`);
       ui.hide();
 
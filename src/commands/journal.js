@@ -0,0 +1,154 @@
+/**
+ * Journal Command
+ *
+ * List the destructive operations Glass has run (mirror, separate) with
+ * when and where they ran, or show every write of one entry with the
+ * record's state before and after. Revert an entry with `undo <id>`.
+ *
+ * Usage: journal               - List past operations on every instance
+ *        journal <id>          - Show the writes of one operation
+ * Example: journal 12
+ */
+
+(function() {
+  /**
+   * Escape HTML special characters
+   * @param {string} str - String to escape
+   * @returns {string} - Escaped string
+   */
+  function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  /**
+   * Format a timestamp for display
+   * @param {number} ts - Milliseconds since epoch
+   * @returns {string}
+   */
+  function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString() : '';
+  }
+
+  /**
+   * Format a record state as field=value pairs
+   * @param {Object|null} state - Field values
+   * @returns {string}
+   */
+  function formatState(state) {
+    if (!state) return '—';
+    return Object.keys(state).map(key => `${key}=${state[key]}`).join(', ');
+  }
+
+  /**
+   * Open a results page listing every journal entry
+   * @param {Array<Object>} entries - Journal entries, newest first
+   */
+  function showEntries(entries) {
+    const resultsPage = window.GlassResultsPage;
+    const host = window.location.hostname;
+
+    const cards = entries.map(entry => ({
+      title: `#${entry.id} ${escapeHtml(entry.command)} ${escapeHtml(entry.description)}`,
+      subtitle: `${escapeHtml(formatTime(entry.startedAt))} · ${escapeHtml(entry.instance)}${entry.instance === host ? ' (this instance)' : ''}`,
+      meta: `${entry.operations.length} write(s)` +
+        (entry.undoneAt ? ` · undo run ${escapeHtml(formatTime(entry.undoneAt))}` : '') +
+        ` · <span class="glass-code">journal ${entry.id}</span> <span class="glass-code">undo ${entry.id}</span>`,
+      badge: escapeHtml(entry.status)
+    }));
+
+    const content = resultsPage.buildStats([
+      { value: entries.length, label: 'Operations' },
+      { value: entries.filter(e => e.instance === host).length, label: 'On This Instance' },
+      { value: entries.filter(e => e.status === 'undone').length, label: 'Undone' }
+    ]) + resultsPage.buildSection('Operations', resultsPage.buildCardGrid(cards));
+
+    const html = resultsPage.buildPage({
+      title: 'Journal',
+      subtitle: 'Destructive operations run from Glass',
+      content
+    });
+
+    resultsPage.openPage(html, { history: false });
+  }
+
+  /**
+   * Open a results page with the writes of one entry
+   * @param {Object} entry - Journal entry
+   */
+  function showEntry(entry) {
+    const resultsPage = window.GlassResultsPage;
+    const actions = { POST: 'add', DELETE: 'remove', PATCH: 'keep' };
+
+    const rows = entry.operations.map(op => ({
+      action: actions[op.method] || 'keep',
+      label: escapeHtml(`${op.method} ${op.table}/${op.sysId || ''}`),
+      detail: escapeHtml(`${formatState(op.before)} → ${formatState(op.after)}${op.undone ? ' (undone)' : ''}`)
+    }));
+
+    const content = resultsPage.buildStats([
+      { value: entry.operations.length, label: 'Writes' },
+      { value: entry.operations.filter(op => op.undone).length, label: 'Undone' },
+      { value: escapeHtml(entry.status), label: 'Status' }
+    ]) + resultsPage.buildSection('Writes', resultsPage.buildDiff(rows));
+
+    const html = resultsPage.buildPage({
+      title: `Journal #${entry.id}: ${escapeHtml(entry.command)} ${escapeHtml(entry.description)}`,
+      subtitle: `${escapeHtml(formatTime(entry.startedAt))} · ${escapeHtml(entry.instance)}`,
+      content
+    });
+
+    resultsPage.openPage(html, { history: false });
+  }
+
+  const command = {
+    name: 'journal',
+    aliases: ['changes'],
+    description: 'List past destructive operations and their writes',
+    args: [
+      { name: 'id', type: 'number', min: 1, example: '12', description: 'Entry to show in detail' }
+    ],
+    examples: [
+      'journal      - List past mirror/separate runs on every instance',
+      'journal 12   - Show every write of entry #12'
+    ],
+
+    /**
+     * Execute the journal command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} ctx - Execution context
+     */
+    async execute(args, ctx) {
+      const { ui } = ctx;
+
+      if (args[0]) {
+        const entry = await window.GlassJournal.get(args[0]);
+        if (!entry) {
+          ui.showError(`No journal entry #${args[0]}.`);
+          return;
+        }
+        showEntry(entry);
+        ui.hide();
+        return;
+      }
+
+      const entries = await window.GlassJournal.list();
+      if (entries.length === 0) {
+        ui.showInfo('The journal is empty. mirror and separate record their writes here.');
+        return;
+      }
+      showEntries(entries);
+      ui.hide();
+    }
+  };
+
+  // Register command
+  if (window.GlassCommandRegistry) {
+    window.GlassCommandRegistry.register(command);
+  }
+})();
@@ -4,12 +4,19 @@
  * Search across all text-indexed tables (sys_dictionary collection where text_index=true)
  * using keyword search pseudo-field: 123TEXTQUERY321
  *
+ * Flags:
+ *   --per-table <N>          Max hits returned per table (default 5)
+ *   --max-tables <N>         Max text-indexed tables scanned (default 250)
+ *   --max-hits <N>           Max total hits emitted (default 300)
+ *
  * Usage:
- *   keyword <term>
+ *   keyword <term> [--per-table N] [--max-tables N] [--max-hits N]
  *
  * Examples:
  *   keyword "RITM0284161"
  *   keyword vpn timeout
+ *   keyword "vpn timeout" --per-table 20
+ *   keyword INC0010001 | xml
  */
 
 (function () {
@@ -18,6 +25,10 @@
     const TABLE_CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
     const TABLE_CACHE_VERSION = 1;
   
+    const DEFAULT_PER_TABLE = 5;
+    const DEFAULT_MAX_TABLES = 250;
+    const DEFAULT_MAX_HITS = 300;
+  
     function escapeHtml(s) {
       return String(s || '')
         .replace(/&/g, '&amp;')
@@ -60,16 +71,17 @@
      *  3) Emits JSON lines between ###RESULTS### and ###END###
      */
     function buildKeywordSearchScript(term, cachedTables, options) {
-      const perTableLimit = Number(options.perTableLimit || 5);
-      const maxTables = Number(options.maxTables || 250);
-      const maxHits = Number(options.maxHits || 300);
+      const perTableLimit = Number(options.perTableLimit || DEFAULT_PER_TABLE);
+      const maxTables = Number(options.maxTables || DEFAULT_MAX_TABLES);
+      const maxHits = Number(options.maxHits || DEFAULT_MAX_HITS);
   
-      const termJson = JSON.stringify(term);
-      const tablesJson = JSON.stringify(Array.isArray(cachedTables) ? cachedTables : null);
+      const tables = Array.isArray(cachedTables) ? cachedTables : null;
+      const script = window.GlassBackgroundScript.script;
   
-      return `
+      return script`
   (function() {
-    var TERM = ${termJson};
+    var TERM = ${term};
+    var CACHED_TABLES = ${tables};
     var PER_TABLE_LIMIT = ${perTableLimit};
     var MAX_TABLES = ${maxTables};
     var MAX_HITS = ${maxHits};
@@ -125,7 +137,7 @@
       return out;
     }
   
-    var tableList = ${tablesJson} || discoverTables();
+    var tableList = CACHED_TABLES || discoverTables();
   
     // hard cap server-side too
     if (tableList.length > MAX_TABLES) tableList = tableList.slice(0, MAX_TABLES);
@@ -142,7 +154,7 @@
       max_tables: MAX_TABLES,
       max_hits: MAX_HITS,
       tables_found: tableList.length,
-      tables_source: (${tablesJson} ? 'cache' : 'discovered')
+      tables_source: (CACHED_TABLES ? 'cache' : 'discovered')
     }));
   
     for (var i = 0; i < tableList.length; i++) {
@@ -206,7 +218,7 @@
   `;
     }
   
-    function renderResultsPage(instanceUrl, meta, hits, stats) {
+    function renderResultsPage(instanceUrl, meta, hits, stats, ctx) {
       const title = `Keyword Search`;
       const subtitle = meta?.term
         ? `Search term: <span class="glass-code">${escapeHtml(meta.term)}</span> ` +
@@ -220,23 +232,15 @@
         { value: String(stats?.total_hits ?? 0), label: 'Total hits' }
       ];
   
-      const cards = hits.map((h) => {
-        const display = h.number || h.display || h.sys_id;
-        const recordUrl = instanceUrl + (h.record_path || '');
-        const listUrl = instanceUrl + (h.list_path || '');
-  
-        const tableLine = `${escapeHtml(h.table_label || h.table)} <span class="glass-code">${escapeHtml(h.table)}</span>`;
-        const links =
-          `<a href="${escapeHtml(recordUrl)}" target="_blank" rel="noopener">Open record</a>` +
-          ` &nbsp;|&nbsp; ` +
-          `<a href="${escapeHtml(listUrl)}" target="_blank" rel="noopener">Open list (keyword)</a>`;
-  
-        return {
-          title: escapeHtml(display),
-          subtitle: tableLine,
-          meta: `${escapeHtml(h.sys_id)}<br>${links}`
-        };
-      });
+      const rows = hits.map((h) => ({
+        record: h.number || h.display || h.sys_id,
+        record_url: instanceUrl + (h.record_path || ''),
+        table_label: h.table_label || h.table,
+        table: h.table,
+        sys_id: h.sys_id,
+        list: 'keyword',
+        list_url: instanceUrl + (h.list_path || '')
+      }));
   
       const content =
         window.GlassResultsPage.buildSection(
@@ -245,12 +249,18 @@
         ) +
         window.GlassResultsPage.buildSection(
           'Results',
-          cards.length
-            ? window.GlassResultsPage.buildCardGrid(cards)
-            : `<div class="glass-card">
-                 <div class="glass-card-title">No results</div>
-                 <div class="glass-card-subtitle">Try a more specific term, or confirm the table(s) are text-indexed.</div>
-               </div>`
+          window.GlassResultsPage.buildDataTable({
+            columns: [
+              { key: 'record', label: 'Record', href: 'record_url' },
+              { key: 'table_label', label: 'Table' },
+              { key: 'table', label: 'Table name', mono: true },
+              { key: 'sys_id', label: 'sys_id', mono: true },
+              { key: 'list', label: 'List', href: 'list_url' }
+            ],
+            rows,
+            groupBy: ['table'],
+            empty: 'Try a more specific term, or confirm the table(s) are text-indexed.'
+          })
         );
   
       const html = window.GlassResultsPage.buildPage({
@@ -260,26 +270,27 @@
         footer: `Glass CLI - keyword`
       });
   
-      window.GlassResultsPage.openPage(html);
+      window.GlassResultsPage.openPage(html, { ctx });
     }
   
     const command = {
       name: 'keyword',
       aliases: ['k', 'kw', 'search'],
       description: 'Search all text-indexed tables for a keyword',
-      usage: 'keyword <term>',
-      examples: ['keyword RITM0284161', 'keyword vpn timeout'],
-  
-      validate(args) {
-        if (!args.length) return 'Usage: keyword <term>';
-        const term = args.join(' ').trim();
-        if (!term) return 'Please provide a search term.';
-        if (term.length < 2) return 'Search term too short.';
-        return true;
+      readOnly: true,
+      produces: true,
+      args: [
+        { name: 'term', type: 'string', required: true, rest: true, minLength: 2, example: 'RITM0284161', description: 'Number, sys_id or text to look for' }
+      ],
+      flags: {
+        perTable: { type: 'number', default: DEFAULT_PER_TABLE, min: 1 },
+        maxTables: { type: 'number', default: DEFAULT_MAX_TABLES, min: 1 },
+        maxHits: { type: 'number', alias: ['maxhits'], default: DEFAULT_MAX_HITS, min: 1 }
       },
+      examples: ['keyword RITM0284161', 'keyword vpn timeout', 'keyword "vpn timeout" --per-table 20', 'keyword INC0010001 | xml'],
   
       async execute(args, ctx) {
-        const { ui, context } = ctx;
+        const { ui, context, flags } = ctx;
         const term = args.join(' ').trim();
   
         const instanceUrl = await context.getInstanceUrl();
@@ -300,21 +311,22 @@
         const cachedTables = loadTableCache(instanceUrl);
   
         const opts = {
-          perTableLimit: 5,
-          maxTables: 250,
-          maxHits: 300
+          perTableLimit: flags.perTable,
+          maxTables: flags.maxTables,
+          maxHits: flags.maxHits
         };
   
         try {
           ui.showInfo(cachedTables ? 'Searching keyword (cached table list)...' : 'Searching keyword (discovering tables)...');
   
-          const script = buildKeywordSearchScript(term, cachedTables, opts);
+          const params = [term, cachedTables, opts];
+          const script = buildKeywordSearchScript(...params);
   
           const rows = await window.GlassBackgroundScript.executeAndParse(
             script,
             '###RESULTS###',
             '###END###',
-            { instanceUrl, timeout: 120000 }
+            { instanceUrl, timeout: 120000, relay: { name: 'keyword', params } }
           );
   
           let meta = null;
@@ -331,10 +343,20 @@
             saveTableCache(instanceUrl, stats.tables_payload);
           }
   
+          if (ctx.piped) {
+            ui.showInfo(`Piping ${hits.length} hit(s)...`);
+            return hits.map((h) => ({
+              table: h.table,
+              sys_id: h.sys_id,
+              display: h.number || h.display || h.sys_id,
+              fields: { number: h.number, table_label: h.table_label }
+            }));
+          }
+  
           ui.showSuccess(`Done. Hits: ${stats?.total_hits ?? hits.length}`);
           ui.hide();
   
-          renderResultsPage(instanceUrl, meta, hits, stats);
+          renderResultsPage(instanceUrl, meta, hits, stats, ctx);
         } catch (error) {
           ui.showError(`Keyword search failed: ${error.message}`);
         }
@@ -342,5 +364,6 @@
     };
   
     window.GlassCommandRegistry?.register(command);
+    window.GlassBackgroundScript?.relayable('keyword', buildKeywordSearchScript);
   })();
   
\ No newline at end of file
@@ -5,7 +5,9 @@
  * Dynamically fetches table definitions from sys_db_object.
  * 
  * Usage: list <table_name>
+ *        <producer> | list
  * Example: list incident
+ *          code gs.sleep | list
  */
 
 (function() {
@@ -19,8 +21,9 @@
   const CACHE_DURATION = 12 * 60 * 60 * 1000;
   
   // Storage key for localStorage cache (instance-specific)
+  // v2 entries carry the table's application scope
   function getCacheKey() {
-    return `glass_tables_${window.location.hostname}`;
+    return `glass_tables_v2_${window.location.hostname}`;
   }
 
   /**
@@ -58,7 +61,7 @@
 
   /**
    * Fetch all tables from sys_db_object
-   * @returns {Promise<Array>} - Array of { name, table } objects
+   * @returns {Promise<Array>} - Array of { name, table, scope } objects
    */
   async function fetchTableDefinitions() {
     // Return cached if still valid
@@ -93,19 +96,19 @@
         }
         
         // Fetch tables from sys_db_object
-        // Get name (technical name) and label (display name)
-        const tables = await api.tableGet(instanceUrl, 'sys_db_object', {
-          fields: ['name', 'label'],
-          limit: 10000,
+        // Get name (technical name), label (display name) and application scope
+        const tables = await api.tableGetAll(instanceUrl, 'sys_db_object', {
+          fields: ['name', 'label', 'sys_scope.scope'],
           query: 'nameISNOTEMPTY^labelISNOTEMPTY',
           displayValue: false
         });
 
         if (tables && tables.length > 0) {
-          // Transform to our format: { name: label, table: name }
+          // Transform to our format: { name: label, table: name, scope }
           cachedTables = tables.map(t => ({
             name: t.label || t.name,
-            table: t.name
+            table: t.name,
+            scope: t['sys_scope.scope'] || 'global'
           }));
           cacheTimestamp = Date.now();
           
@@ -156,7 +159,7 @@
 
   /**
    * Find matching tables based on input
-   * Prioritizes: 1) startsWith over includes, 2) shorter names first
+   * Ranked by GlassFuzzy on label and table name, shorter names first on ties.
    * @param {string} input - User input to match
    * @returns {Array} - Matching table definitions
    */
@@ -164,6 +167,10 @@
     if (!input) return [];
     
     const tables = getTableDefinitions();
+    if (window.GlassFuzzy) {
+      return window.GlassFuzzy.rank(input, tables, def => [def.table, def.name], 10);
+    }
+
     const lowerInput = input.toLowerCase();
     
     // Sort by table name length (shorter first)
@@ -223,24 +230,19 @@
     name: 'list',
     aliases: ['ls', 'l'],
     description: 'Navigate to a table list view',
-    usage: 'list <table_name>',
+    readOnly: true,
+    args: [
+      { name: 'table', type: 'table', required: true, rest: true, example: 'incident', description: 'Table name or label (optional when records are piped in)' }
+    ],
+    consumes: true,
     examples: [
       'list incident    - Go to incident list',
       'list user        - Go to sys_user list',
       'list acl         - Go to ACL list',
-      'list sys_user    - Direct table name also works'
+      'list sys_user    - Direct table name also works',
+      'code gs.sleep | list - List the piped records (one tab per table)'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      if (args.length === 0) {
-        return 'Usage: list <table_name>';
-      }
-      return true;
-    },
-
     /**
      * Execute the list command
      */
@@ -254,6 +256,11 @@
         return;
       }
 
+      if (ctx.input) {
+        this.listRecords(ctx.input, instanceUrl, ui);
+        return;
+      }
+
       // Resolve the table name (handles friendly names)
       const tableName = resolveTableName(input);
       
@@ -269,6 +276,31 @@
       ui.hide();
 
       window.location.href = listUrl;
+    },
+
+    /**
+     * Open list views for piped records
+     * The first table opens in the current tab, any others in new tabs.
+     * @param {Array<Object>} records - Piped records
+     * @param {string} instanceUrl - instance URL
+     * @param {Object} ui - Glass UI
+     */
+    listRecords(records, instanceUrl, ui) {
+      const groups = window.GlassCommandRegistry.groupRecordsByTable(records);
+      if (groups.size === 0) {
+        ui.showError('No piped records with a table and sys_id.');
+        return;
+      }
+
+      const urls = Array.from(groups.entries()).map(([table, ids]) =>
+        `${instanceUrl}/${table}_list.do?sysparm_query=${encodeURIComponent('sys_idIN' + ids.join(','))}`
+      );
+
+      ui.showSuccess(`Listing ${records.length} record(s) across ${groups.size} table(s)...`);
+      ui.hide();
+
+      urls.slice(1).forEach(url => window.open(url, '_blank'));
+      window.location.href = urls[0];
     }
   };
 
@@ -12,19 +12,11 @@
     name: 'login',
     aliases: ['signin', 'li'],
     description: 'Navigate to the login page',
-    usage: 'login',
+    args: [],
     examples: [
       'login - Go to the platform login page'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // No arguments needed
-      return true;
-    },
-
     /**
      * Execute the login command
      */
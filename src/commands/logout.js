@@ -12,19 +12,11 @@
     name: 'logout',
     aliases: ['signout', 'lo', 'bye'],
     description: 'Navigate to the logout page',
-    usage: 'logout',
+    args: [],
     examples: [
       'logout - Sign out'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // No arguments needed
-      return true;
-    },
-
     /**
      * Execute the logout command
      */
@@ -12,19 +12,12 @@
     name: 'me',
     aliases: ['myprofile', 'profile'],
     description: 'View your own user record',
-    usage: 'me',
+    readOnly: true,
+    args: [],
     examples: [
       'me - Open your user profile record'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // No arguments needed
-      return true;
-    },
-
     /**
      * Execute the me command
      */
@@ -8,33 +8,289 @@
  * - sys_user_has_role
  * - sys_user_grmember
  *
- * Usage: mirror <source_username> <target_username>
+ * The changes are worked out first and shown as a diff: `--dry-run` opens
+ * it on a results page without writing anything, otherwise the overlay asks
+ * for confirmation (type the target username) before the target is touched.
+ * The writes go out through the Batch API, removals first, and every one
+ * that succeeds is logged in the journal and can be reverted with `undo`.
+ *
+ * Only direct role grants are copied. Roles the target inherits through
+ * groups are listed separately, and a source role the target will inherit
+ * anyway is not granted directly a second time.
+ *
+ * Usage: mirror <source_username> <target_username> [--dry-run] [--yes]
+ *          [--add-only] [--roles-only | --groups-only] [--exclude <names>]
  */
 
 (function () {
+    // Roles that cannot be granted or revoked through the Table API
+    const PROTECTED_ROLES = ['security_admin'];
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} - Escaped string
+     */
+    function escapeHtml(str) {
+      if (!str) return '';
+      return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Read a reference field's sys_id whether or not it came with a link
+     * @param {Object|string} ref - Reference value from the Table API
+     * @returns {string}
+     */
+    function refValue(ref) {
+      return (ref && ref.value) || ref || '';
+    }
+
+    /**
+     * Turn --exclude into name matchers
+     * Comma-separated role/group names; `*` matches any run of characters.
+     * @param {string} value - Flag value, e.g. "admin,*_approver"
+     * @returns {Array<RegExp>}
+     */
+    function parseExclude(value) {
+      return String(value || '')
+        .split(',')
+        .map(pattern => pattern.trim())
+        .filter(Boolean)
+        .map(pattern => new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i'));
+    }
+
+    /**
+     * An empty access diff, for the side a --roles-only/--groups-only run leaves alone
+     * @returns {{add: Array, remove: Array, keep: Array, skipped: Array}}
+     */
+    function emptyDiff() {
+      return { add: [], remove: [], keep: [], skipped: [] };
+    }
+
+    /**
+     * Work out what mirroring will change
+     * Entries are keyed by role/group sys_id, so duplicate grants collapse
+     * and access the target already has is kept instead of re-created.
+     * @param {Array} sourceRecords - Source user's role or group records
+     * @param {Array} targetRecords - Target user's role or group records
+     * @param {string} field - Reference field ('role' or 'group')
+     * @param {Object} options - { addOnly: boolean, exclude: Array<RegExp> }
+     * @returns {{add: Array, remove: Array, keep: Array, skipped: Array}}
+     */
+    function diffAccess(sourceRecords, targetRecords, field, options = {}) {
+      const { addOnly = false, exclude = [] } = options;
+      const toEntry = record => ({
+        id: refValue(record[field]),
+        name: record[`${field}.name`] || refValue(record[field]),
+        recordSysId: record.sys_id
+      });
+
+      const source = new Map();
+      sourceRecords.map(toEntry).forEach(entry => source.set(entry.id, entry));
+      const target = new Map();
+      targetRecords.map(toEntry).forEach(entry => target.set(entry.id, entry));
+
+      const diff = emptyDiff();
+      const isProtected = entry => field === 'role' && PROTECTED_ROLES.includes(entry.name);
+      const isExcluded = entry => exclude.some(pattern => pattern.test(entry.name));
+
+      source.forEach((entry, id) => {
+        if (target.has(id)) {
+          diff.keep.push(target.get(id));
+        } else if (isExcluded(entry)) {
+          diff.skipped.push({ ...entry, reason: 'excluded' });
+        } else if (isProtected(entry)) {
+          diff.skipped.push({ ...entry, reason: 'cannot be granted via REST' });
+        } else {
+          diff.add.push(entry);
+        }
+      });
+      target.forEach((entry, id) => {
+        if (source.has(id)) return;
+        if (addOnly) {
+          diff.keep.push({ ...entry, note: 'kept (--add-only)' });
+        } else if (isExcluded(entry)) {
+          diff.skipped.push({ ...entry, reason: 'excluded' });
+        } else if (isProtected(entry)) {
+          diff.skipped.push({ ...entry, reason: 'cannot be removed via REST' });
+        } else {
+          diff.remove.push(entry);
+        }
+      });
+
+      const byName = (a, b) => a.name.localeCompare(b.name);
+      Object.values(diff).forEach(list => list.sort(byName));
+      return diff;
+    }
+
+    /**
+     * Work out the roles the target inherits through groups once the group
+     * changes are made, and stop direct grants for roles already covered
+     * @param {Object} plan - Plan with roles and groups diffs (roles.add is filtered in place)
+     * @param {Array} sourceInherited - Source user's inherited role records
+     * @param {Array} targetInherited - Target user's inherited role records
+     * @returns {Array<{action: string, id: string, name: string, group: string}>} - Inherited roles after the run
+     */
+    function planInherited(plan, sourceInherited, targetInherited) {
+      const removedGroups = new Set(plan.groups.remove.map(g => g.id));
+      const addedGroups = new Set(plan.groups.add.map(g => g.id));
+      const toEntry = (record, action) => ({
+        action,
+        id: refValue(record.role),
+        name: record['role.name'] || refValue(record.role),
+        group: record['granted_by.name'] || refValue(record.granted_by) || 'contained role'
+      });
+
+      const entries = new Map();
+      targetInherited.forEach(record => {
+        const action = removedGroups.has(refValue(record.granted_by)) ? 'remove' : 'keep';
+        const entry = toEntry(record, action);
+        entries.set(`${entry.id}:${entry.group}`, entry);
+      });
+      sourceInherited
+        .filter(record => addedGroups.has(refValue(record.granted_by)))
+        .forEach(record => {
+          const entry = toEntry(record, 'add');
+          entries.set(`${entry.id}:${entry.group}`, entry);
+        });
+
+      const inherited = Array.from(entries.values()).sort((a, b) => a.name.localeCompare(b.name));
+
+      // A direct grant for a role the target will inherit anyway would be a duplicate
+      const willInherit = new Map();
+      inherited.filter(e => e.action !== 'remove').forEach(e => willInherit.set(e.id, e.group));
+      plan.roles.add = plan.roles.add.filter(entry => {
+        if (!willInherit.has(entry.id)) return true;
+        plan.roles.skipped.push({ ...entry, reason: `inherited via ${willInherit.get(entry.id)}` });
+        return false;
+      });
+
+      return inherited;
+    }
+
+    /**
+     * Turn one access diff into rows for GlassResultsPage.buildDiff
+     * @param {Object} diff - Result of diffAccess()
+     * @returns {Array<{action: string, label: string, detail: string}>}
+     */
+    function diffRows(diff) {
+      return [
+        ...diff.remove.map(e => ({ action: 'remove', label: escapeHtml(e.name), detail: 'remove' })),
+        ...diff.add.map(e => ({ action: 'add', label: escapeHtml(e.name), detail: 'add' })),
+        ...diff.skipped.map(e => ({ action: 'keep', label: escapeHtml(e.name), detail: escapeHtml(`skipped: ${e.reason}`) })),
+        ...diff.keep.map(e => ({ action: 'keep', label: escapeHtml(e.name), detail: escapeHtml(e.note || 'already granted') }))
+      ];
+    }
+
+    /**
+     * Open a results page with the planned changes
+     * @param {Object} plan - { source, target, roles, groups, inherited, mode }
+     * @param {Object} ctx - Execution context of the command (for the results history)
+     */
+    function showPlan(plan, ctx) {
+      const resultsPage = window.GlassResultsPage;
+      const { roles, groups, inherited } = plan;
+
+      const inheritedRows = inherited.map(e => ({
+        action: e.action,
+        label: escapeHtml(e.name),
+        detail: escapeHtml(`via ${e.group}`)
+      }));
+
+      const content = resultsPage.buildStats([
+        { value: roles.add.length + groups.add.length, label: 'To Add' },
+        { value: roles.remove.length + groups.remove.length, label: 'To Remove' },
+        { value: roles.keep.length + groups.keep.length, label: 'Unchanged' },
+        { value: roles.skipped.length + groups.skipped.length, label: 'Skipped' }
+      ]) +
+        resultsPage.buildSection(`Direct roles (${escapeHtml(plan.target.user_name)})`, resultsPage.buildDiff(diffRows(roles))) +
+        resultsPage.buildSection(`Groups (${escapeHtml(plan.target.user_name)})`, resultsPage.buildDiff(diffRows(groups))) +
+        resultsPage.buildSection('Inherited roles (through groups)', resultsPage.buildDiff(inheritedRows));
+
+      const html = resultsPage.buildPage({
+        title: `Mirror preview: ${escapeHtml(plan.source.user_name)} → ${escapeHtml(plan.target.user_name)}`,
+        subtitle: `Dry run${plan.mode.length > 0 ? ` (${escapeHtml(plan.mode.join(', '))})` : ''}. Nothing has been changed.`,
+        content
+      });
+
+      resultsPage.openPage(html, { ctx });
+    }
+
+    /**
+     * Summarise a plan for the confirmation panel
+     * @param {Object} plan - { source, target, roles, groups, inherited, mode }
+     * @returns {Array<string>}
+     */
+    function describePlan(plan) {
+      const { roles, groups, inherited } = plan;
+      const lines = [
+        `Remove ${roles.remove.length} direct role(s) and ${groups.remove.length} group(s) from ${plan.target.user_name}`,
+        `Add ${roles.add.length} direct role(s) and ${groups.add.length} group(s) from ${plan.source.user_name}`,
+        `Keep ${roles.keep.length} role(s) and ${groups.keep.length} group(s)`
+      ];
+      const gained = inherited.filter(e => e.action === 'add').length;
+      const lost = inherited.filter(e => e.action === 'remove').length;
+      if (gained || lost) {
+        lines.push(`Inherited roles through groups: +${gained} / −${lost}`);
+      }
+      const skipped = [...roles.skipped, ...groups.skipped];
+      if (skipped.length > 0) {
+        lines.push(`Skip ${skipped.map(e => e.name).join(', ')}`);
+      }
+      if (plan.mode.length > 0) {
+        lines.push(`Mode: ${plan.mode.join(', ')}`);
+      }
+      return lines;
+    }
+
     const command = {
       name: 'mirror',
       aliases: ['mirroraccess', 'cloneaccess'],
       description: 'Mirror roles and groups from one user to another (Table API only)',
-      usage: 'mirror <source_username> <target_username>',
+      mutating: true,
+      args: [
+        { name: 'source', type: 'user', required: true, example: 'alice', description: 'User whose roles and groups are copied' },
+        { name: 'target', type: 'user', required: true, example: 'bob', description: 'User who is wiped and receives the copy' }
+      ],
+      flags: {
+        dryRun: { type: 'boolean', alias: ['preview'], description: 'Show the changes on a results page without making them' },
+        yes: { type: 'boolean', description: 'Skip the confirmation prompt' },
+        addOnly: { type: 'boolean', alias: ['union'], description: 'Add the source\'s access without removing anything from the target' },
+        rolesOnly: { type: 'boolean', description: 'Mirror direct roles only; leave groups alone' },
+        groupsOnly: { type: 'boolean', description: 'Mirror groups only; leave direct roles alone' },
+        exclude: { type: 'string', description: 'Comma-separated role/group names to leave alone (* matches anything)' }
+      },
       examples: [
-        'mirror alice bob           - Wipe bob and copy alice\'s roles/groups',
-        'mirror john.doe jane.doe   - Mirror john.doe → jane.doe'
+        'mirror alice bob                     - Wipe bob and copy alice\'s roles/groups',
+        'mirror alice bob --dry-run           - Preview the changes without making them',
+        'mirror alice bob --add-only          - Give bob everything alice has, remove nothing',
+        'mirror alice bob --groups-only       - Mirror group memberships only',
+        'mirror alice bob --exclude admin,*_approver - Leave matching roles/groups untouched'
       ],
-  
-      validate(args) {
-        if (args.length < 2) {
-          return 'Usage: mirror <source_username> <target_username>';
-        }
+
+      validate(args, flags) {
         if (args[0] === args[1]) {
           return 'Source and target usernames must be different';
         }
+        if (flags.rolesOnly && flags.groupsOnly) {
+          return 'Use --roles-only or --groups-only, not both';
+        }
+        // A ^ or = would add conditions of its own to the sys_user lookup
+        const bad = args.find(name => /[\^,=]/.test(name));
+        if (bad) {
+          return `"${bad}" is not a username: usernames cannot contain ^, , or =.`;
+        }
         return true;
       },
-  
+
       async execute(args, ctx) {
         const [sourceUsername, targetUsername] = args;
-        const { ui, api, context } = ctx;
+        const { ui, api, context, flags } = ctx;
 
         const instanceUrl = await context.getInstanceUrl();
         if (!instanceUrl) {
@@ -49,19 +305,24 @@
           ui.showError('Failed to initialize extension components');
           return;
         }
-  
+
         const logMessages = [];
         const log = (msg) => {
           logMessages.push(msg);
           ui.showInfo(logMessages.join('\n'));
         };
 
-        log(`Mirroring access: ${sourceUsername} → ${targetUsername}...`);
-  
+        log(`${flags.dryRun ? 'Previewing' : 'Mirroring'} access: ${sourceUsername} → ${targetUsername}...`);
+
+        // Journal entry for this run, opened once the changes are confirmed
+        let journal = null;
+
         // Use the API service for authenticated requests
+        // Without sysparm_limit every matching record is fetched, page by page
         async function tableGet(table, params) {
           const options = {
-            displayValue: false
+            displayValue: false,
+            excludeReferenceLink: true
           };
 
           if (params) {
@@ -81,158 +342,192 @@
             }
           }
 
-          const result = await api.tableGet(instanceUrl, table, options);
+          const result = options.limit
+            ? await api.tableGet(instanceUrl, table, options)
+            : await api.tableGetAll(instanceUrl, table, options);
           log(`GET ${table} → ${result ? result.length : 0} items`);
           return result;
         }
 
-        async function tablePost(table, body) {
-          const res = await api.request(instanceUrl, `/api/now/table/${table}`, {
-            method: 'POST',
-            body: body
+        // Send POST/DELETE writes through the Batch API and journal each one that went through
+        async function tableWriteAll(writes) {
+          const failed = [];
+          await api.batch(instanceUrl, writes.map(w => ({
+            method: w.method,
+            endpoint: w.method === 'POST' ? `/api/now/table/${w.table}` : `/api/now/table/${w.table}/${w.sysId}`,
+            body: w.body
+          })), {
+            onResult: async (i, result) => {
+              const { method, table, sysId, body, before } = writes[i];
+              if (!result.ok) {
+                failed.push(`${method} ${table}: ${result.error}`);
+              } else if (method === 'POST') {
+                log(`POST ${table} → ${JSON.stringify(body)}`);
+                await journal.record({ method, table, sysId: result.result && result.result.sys_id, after: body });
+              } else {
+                log(`DELETE ${table}/${sysId}`);
+                await journal.record({ method, table, sysId, before });
+              }
+            }
           });
-          log(`POST ${table} → ${JSON.stringify(body)}`);
-          return res;
-        }
 
-        async function tableDelete(table, sysId) {
-          await api.request(instanceUrl, `/api/now/table/${table}/${sysId}`, {
-            method: 'DELETE'
-          });
-          log(`DELETE ${table}/${sysId}`);
+          if (failed.length > 0) {
+            throw new Error(`${failed.length} of ${writes.length} writes failed. ${failed[0]}`);
+          }
         }
-  
+
         async function getUserByUserName(userName) {
           const users = await tableGet('sys_user', {
             sysparm_query: `user_name=${userName}`,
-            sysparm_fields: 'sys_id,user_name',
+            sysparm_fields: 'sys_id,user_name,name',
             sysparm_limit: 1
           });
-          return users[0] || null;
+          const user = users[0] || null;
+          if (user && String(user.user_name).toLowerCase() !== userName.toLowerCase()) {
+            throw new Error(`Looking up ${userName} returned user ${user.user_name}. Nothing was changed.`);
+          }
+          return user;
         }
-  
-        async function getRoleName(roleSysId) {
-          const roles = await tableGet('sys_user_role', {
-            sysparm_query: `sys_id=${roleSysId}`,
-            sysparm_fields: 'name',
-            sysparm_limit: 1
+
+        async function getDirectRoles(userId) {
+          return tableGet('sys_user_has_role', {
+            sysparm_query: `user=${userId}^inherited=false`,
+            sysparm_fields: 'sys_id,role,role.name,inherited'
+          });
+        }
+
+        async function getInheritedRoles(userId) {
+          return tableGet('sys_user_has_role', {
+            sysparm_query: `user=${userId}^inherited=true`,
+            sysparm_fields: 'sys_id,role,role.name,granted_by,granted_by.name'
           });
-          return roles[0]?.name || null;
         }
 
-        function isSecurityAdminRole(name) {
-          return name === 'security_admin';
+        async function getGroups(userId) {
+          return tableGet('sys_user_grmember', {
+            sysparm_query: `user=${userId}`,
+            sysparm_fields: 'sys_id,group,group.name'
+          });
         }
 
         try {
-  
+
           // 1) Resolve users
           const sourceUser = await getUserByUserName(sourceUsername);
           const targetUser = await getUserByUserName(targetUsername);
-  
+
           if (!sourceUser) {
             throw new Error(`Source user not found: ${sourceUsername}`);
           }
           if (!targetUser) {
             throw new Error(`Target user not found: ${targetUsername}`);
           }
-  
+
           const sourceId = sourceUser.sys_id;
           const targetId = targetUser.sys_id;
-  
-          // 2) Get source roles (non-inherited only)
-          const sourceRoles = await tableGet('sys_user_has_role', {
-            sysparm_query: `user=${sourceId}^inherited=false`,
-            sysparm_fields: 'sys_id,role,inherited',
-            sysparm_limit: 1000
-          });
-  
-          // 3) Get source groups
-          const sourceGroups = await tableGet('sys_user_grmember', {
-            sysparm_query: `user=${sourceId}`,
-            sysparm_fields: 'sys_id,group',
-            sysparm_limit: 1000
-          });
-  
-          // 4) Get target roles (non-inherited only) and delete them
-          const targetRoles = await tableGet('sys_user_has_role', {
-            sysparm_query: `user=${targetId}^inherited=false`,
-            sysparm_fields: 'sys_id,role,inherited',
-            sysparm_limit: 1000
-          });
-  
-          let rolesDeleted = 0;
-          for (const r of targetRoles) {
-            const roleSysId = r.role?.value || r.role;
-            const roleName = await getRoleName(roleSysId);
-            if (roleName && isSecurityAdminRole(roleName)) {
-              log(`Skipping deletion of ${roleName} (security_admin cannot be removed)`);
-              continue;
-            }
-            await tableDelete('sys_user_has_role', r.sys_id);
-            rolesDeleted++;
-          }
-  
-          // 5) Get target groups and delete them
-          const targetGroups = await tableGet('sys_user_grmember', {
-            sysparm_query: `user=${targetId}`,
-            sysparm_fields: 'sys_id,group',
-            sysparm_limit: 1000
-          });
-  
-          let groupsDeleted = 0;
-          for (const g of targetGroups) {
-            await tableDelete('sys_user_grmember', g.sys_id);
-            groupsDeleted++;
+
+          // 2) Work out the changes (direct roles only; inherited ones follow the groups)
+          const options = { addOnly: flags.addOnly === true, exclude: parseExclude(flags.exclude) };
+          const plan = {
+            source: sourceUser,
+            target: targetUser,
+            mode: ['addOnly', 'rolesOnly', 'groupsOnly']
+              .filter(key => flags[key])
+              .map(key => `--${key.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}`)
+              .concat(flags.exclude ? [`--exclude ${flags.exclude}`] : []),
+            roles: flags.groupsOnly
+              ? emptyDiff()
+              : diffAccess(await getDirectRoles(sourceId), await getDirectRoles(targetId), 'role', options),
+            groups: flags.rolesOnly
+              ? emptyDiff()
+              : diffAccess(await getGroups(sourceId), await getGroups(targetId), 'group', options)
+          };
+          plan.inherited = planInherited(plan, await getInheritedRoles(sourceId), await getInheritedRoles(targetId));
+
+          if (flags.dryRun) {
+            showPlan(plan, ctx);
+            ui.showSuccess(`Preview opened. Nothing was changed on ${targetUsername}.`, 4000);
+            return;
           }
-  
-          // 6) Add source roles to target (non-inherited)
-          let rolesCopied = 0;
-          for (const r of sourceRoles) {
-            const roleSysId = r.role?.value || r.role;
-            const roleName = await getRoleName(roleSysId);
-            if (roleName && isSecurityAdminRole(roleName)) {
-              log('Skipping addition of security_admin role via REST');
-              continue;
-            }
 
-            await tablePost('sys_user_has_role', {
-              user: targetId,
-              role: roleSysId,
-              inherited: false
-            });
-            rolesCopied++;
+          const changes = plan.roles.add.length + plan.roles.remove.length +
+            plan.groups.add.length + plan.groups.remove.length;
+          if (changes === 0) {
+            ui.showSuccess(`Nothing to change: ${targetUsername} already has ${sourceUsername}'s access${plan.mode.length > 0 ? ` (${plan.mode.join(', ')})` : ''}.`, 4000);
+            return;
           }
-  
-          // 7) Add source groups to target
-          let groupsCopied = 0;
-          for (const g of sourceGroups) {
-            // Handle reference field for group assignment
-            const groupSysId = g.group?.value || g.group;
-
-            await tablePost('sys_user_grmember', {
-              user: targetId,
-              group: groupSysId
+
+          if (!flags.yes) {
+            const confirmed = await ui.confirm({
+              title: `Mirror ${sourceUsername} → ${targetUsername}?`,
+              lines: describePlan(plan),
+              confirmLabel: 'Mirror access',
+              requireText: targetUser.user_name
             });
-            groupsCopied++;
+            ui.show();
+            if (!confirmed) {
+              ui.showInfo('Mirror cancelled. Nothing was changed.');
+              return;
+            }
           }
-  
+
+          journal = await window.GlassJournal.begin({
+            command: 'mirror',
+            description: `${sourceUser.user_name} → ${targetUser.user_name}`,
+            instanceUrl
+          });
+
+          // 3) Remove target roles and groups the source does not have
+          await tableWriteAll([
+            ...plan.roles.remove.map(r => ({
+              method: 'DELETE',
+              table: 'sys_user_has_role',
+              sysId: r.recordSysId,
+              before: { user: targetId, role: r.id, inherited: false }
+            })),
+            ...plan.groups.remove.map(g => ({
+              method: 'DELETE',
+              table: 'sys_user_grmember',
+              sysId: g.recordSysId,
+              before: { user: targetId, group: g.id }
+            }))
+          ]);
+
+          // 4) Add source roles (non-inherited) and groups the target lacks
+          await tableWriteAll([
+            ...plan.roles.add.map(r => ({
+              method: 'POST',
+              table: 'sys_user_has_role',
+              body: { user: targetId, role: r.id, inherited: false }
+            })),
+            ...plan.groups.add.map(g => ({
+              method: 'POST',
+              table: 'sys_user_grmember',
+              body: { user: targetId, group: g.id }
+            }))
+          ]);
+
+          await journal.finish('done');
+
           ui.show();
           ui.showSuccess(
             [
               `Mirrored access from ${sourceUsername} → ${targetUsername}.`,
-              `Roles deleted: ${rolesDeleted}, groups deleted: ${groupsDeleted}.`,
-              `Roles copied: ${rolesCopied}, groups copied: ${groupsCopied}.`
+              `Roles removed: ${plan.roles.remove.length}, groups removed: ${plan.groups.remove.length}.`,
+              `Roles added: ${plan.roles.add.length}, groups added: ${plan.groups.add.length}.`,
+              `Unchanged: ${plan.roles.keep.length} roles, ${plan.groups.keep.length} groups.`,
+              `Revert with: undo ${journal.id}`
             ].join('\n')
           );
         } catch (error) {
+          if (journal) await journal.finish('failed');
           ui.show();
-          ui.showError(`Mirror failed: ${error.message || error}`);
+          ui.showError(`Mirror failed: ${error.message || error}${journal ? `\nChanges made so far can be reverted with: undo ${journal.id}` : ''}`);
         }
       }
     };
-  
+
     if (window.GlassCommandRegistry) {
       window.GlassCommandRegistry.register(command);
     }
-  })();  
\ No newline at end of file
+  })();
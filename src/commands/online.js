@@ -7,39 +7,43 @@
  *
  * Usage: online
  * Example: online
+ *          online | impersonate
  */
 
 (function() {
+  // Sessions accessed within this many minutes count as online
+  const ACTIVE_WINDOW_MINUTES = 5;
+
+  // Most sessions scanned per lookup
+  const MAX_SESSIONS = 500;
+
   const command = {
     name: 'online',
     aliases: ['who', 'active'],
     description: 'Show currently online/active users',
-    usage: 'online',
+    readOnly: true,
+    args: [],
+    produces: true,
     examples: [
-      'online - Show all currently active user sessions'
+      'online               - Show all currently active user sessions',
+      'online | impersonate - Impersonate the most recently active user'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      return true;
-    },
-
     /**
      * Build the background script to find online users
      * @returns {string} - The GlideRecord script
      */
     buildOnlineUsersScript() {
-      return `
+      const script = window.GlassBackgroundScript.script;
+      return script`
 function findOnlineUsers() {
-  var encoded = "last_accessed>=javascript:gs.minutesAgoStart(5)";
+  var encoded = "last_accessed>=javascript:gs.minutesAgoStart(" + ${ACTIVE_WINDOW_MINUTES} + ")";
 
   var gr = new GlideRecord('sys_user_session');
   gr.addEncodedQuery(encoded);
   gr.addNotNullQuery('name');
   gr.orderByDesc('last_accessed');
-  gr.setLimit(500);
+  gr.setLimit(${MAX_SESSIONS});
   gr.query();
 
   var seen = {};
@@ -52,8 +56,14 @@ function findOnlineUsers() {
     }
     seen[userName] = true;
 
+    var user = new GlideRecord('sys_user');
+    user.addQuery('user_name', userName);
+    user.setLimit(1);
+    user.query();
+
     results.push({
       user_name: userName,
+      sys_id: user.next() ? user.getUniqueValue() : '',
       last_accessed: gr.last_accessed.getDisplayValue()
     });
   }
@@ -90,7 +100,7 @@ findOnlineUsers();`;
           script,
           '###RESULTS###',
           '###END###',
-          { instanceUrl }
+          { instanceUrl, relay: { name: 'online' } }
         );
 
         if (!users || users.length === 0) {
@@ -98,20 +108,39 @@ findOnlineUsers();`;
           return;
         }
 
+        if (ctx.piped) {
+          ui.showInfo(`Piping ${users.length} user(s)...`);
+          return users.map(user => ({
+            table: 'sys_user',
+            sys_id: user.sys_id,
+            display: user.user_name,
+            fields: { user_name: user.user_name, last_accessed: user.last_accessed }
+          }));
+        }
+
         // Build stats
         const statsHtml = resultsPage.buildStats([
           { value: users.length, label: 'Users Online' },
           { value: '5 min', label: 'Time Window' }
         ]);
 
-        // Build user cards
-        const userCards = users.map(user => ({
-          title: user.user_name,
-          subtitle: `Last active: ${user.last_accessed}`
+        // Build the user table
+        const rows = users.map(user => ({
+          user_name: user.user_name,
+          user_url: user.sys_id ? `${instanceUrl}/sys_user.do?sys_id=${user.sys_id}` : '',
+          last_accessed: user.last_accessed,
+          sys_id: user.sys_id
         }));
 
         const content = statsHtml + resultsPage.buildSection('Active Users', 
-          resultsPage.buildCardGrid(userCards)
+          resultsPage.buildDataTable({
+            columns: [
+              { key: 'user_name', label: 'User', href: 'user_url' },
+              { key: 'last_accessed', label: 'Last active' },
+              { key: 'sys_id', label: 'sys_id', mono: true }
+            ],
+            rows
+          })
         );
 
         const html = resultsPage.buildPage({
@@ -120,7 +149,7 @@ findOnlineUsers();`;
           content: content
         });
 
-        resultsPage.openPage(html);
+        resultsPage.openPage(html, { ctx });
         ui.hide();
 
       } catch (error) {
@@ -133,4 +162,7 @@ findOnlineUsers();`;
   if (window.GlassCommandRegistry) {
     window.GlassCommandRegistry.register(command);
   }
+  if (window.GlassBackgroundScript) {
+    window.GlassBackgroundScript.relayable('online', () => command.buildOnlineUsersScript());
+  }
 })();
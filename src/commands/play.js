@@ -530,15 +530,11 @@
     name: 'play',
     aliases: ['ball', 'bounce', 'fun'],
     description: 'Turn the icon into a bouncy ball!',
-    usage: 'play',
+    args: [],
     examples: [
       'play - Toggle bouncy ball mode (throw the icon around!)'
     ],
 
-    validate(args) {
-      return true;
-    },
-
     async execute(args, ctx) {
       const { ui } = ctx;
 
@@ -13,19 +13,11 @@
     name: 'pop',
     aliases: ['classic', 'switch'],
     description: 'Switch to classic UI view',
-    usage: 'pop',
+    args: [],
     examples: [
       'pop - Switch current page to classic UI'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // No arguments needed
-      return true;
-    },
-
     /**
      * Execute the pop command
      */
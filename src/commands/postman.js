@@ -18,114 +18,21 @@
     name: 'postman',
     aliases: ['pm', 'collection'],
     description: 'Generate Postman collection from current API definition',
-    usage: 'postman',
+    args: [],
     examples: [
       'postman - Generate collection from current sys_ws_definition record'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      return true;
-    },
-
-    /**
-     * Get the current record's sys_id from the URL or page
-     * @returns {string|null} - The sys_id or null if not found
-     */
-    getCurrentSysId() {
-      const url = window.location.href;
-      
-      // Decode URL in case it's encoded
-      const decodedUrl = decodeURIComponent(url);
-      
-      // Try sys_id parameter (standard format)
-      const sysIdMatch = decodedUrl.match(/sys_id=([a-f0-9]{32})/i);
-      if (sysIdMatch) {
-        return sysIdMatch[1];
-      }
-
-      // Try URL path format (workspace/UI format)
-      const pathMatch = decodedUrl.match(/\/([a-f0-9]{32})(?:\?|$|#|\/)/i);
-      if (pathMatch) {
-        return pathMatch[1];
-      }
-
-      // Try to get from page's g_form object
-      if (typeof g_form !== 'undefined' && g_form.getUniqueValue) {
-        try {
-          const sysId = g_form.getUniqueValue();
-          if (sysId && /^[a-f0-9]{32}$/i.test(sysId)) {
-            return sysId;
-          }
-        } catch (e) {
-        }
-      }
-
-      // Try to get from NOW.sysId (some pages use this)
-      if (typeof NOW !== 'undefined' && NOW.sysId) {
-        return NOW.sysId;
-      }
-
-      // Try to find sys_id in hidden form field
-      const sysIdField = document.querySelector('input[name="sys_id"], input[id="sys_uniqueValue"]');
-      if (sysIdField && sysIdField.value && /^[a-f0-9]{32}$/i.test(sysIdField.value)) {
-        return sysIdField.value;
-      }
-
-      // Try iframe content if in classic UI
-      try {
-        const iframe = document.querySelector('iframe#gsft_main');
-        if (iframe && iframe.contentWindow) {
-          const iframeUrl = iframe.contentWindow.location.href;
-          const decodedIframeUrl = decodeURIComponent(iframeUrl);
-          const iframeSysIdMatch = decodedIframeUrl.match(/sys_id=([a-f0-9]{32})/i);
-          if (iframeSysIdMatch) {
-            return iframeSysIdMatch[1];
-          }
-        }
-      } catch (e) {
-      }
-      return null;
-    },
-
-    /**
-     * Check if we're on a sys_ws_definition form
-     * @returns {boolean}
-     */
-    isOnApiDefinitionForm() {
-      const url = decodeURIComponent(window.location.href);
-      
-      // Check main URL
-      if (url.includes('sys_ws_definition')) {
-        return true;
-      }
-
-      // Check iframe URL for classic UI
-      try {
-        const iframe = document.querySelector('iframe#gsft_main');
-        if (iframe && iframe.contentWindow) {
-          const iframeUrl = decodeURIComponent(iframe.contentWindow.location.href);
-          if (iframeUrl.includes('sys_ws_definition')) {
-            return true;
-          }
-        }
-      } catch (e) {
-        // Cross-origin or no iframe
-      }
-
-      return false;
-    },
-
     /**
      * Build the background script to fetch API definition and operations
      * @param {string} sysId - The sys_ws_definition sys_id
      * @returns {string} - The GlideRecord script
      */
     buildFetchScript(sysId) {
-      return `
+      const script = window.GlassBackgroundScript.script;
+      return script`
 function getApiDefinition() {
+  var API_SYS_ID = ${sysId};
   var result = {
     definition: null,
     operations: [],
@@ -134,7 +41,7 @@ function getApiDefinition() {
 
   // Get the API definition
   var defGr = new GlideRecord('sys_ws_definition');
-  if (defGr.get('${sysId}')) {
+  if (defGr.get(API_SYS_ID)) {
     result.definition = {
       sys_id: defGr.getUniqueValue(),
       name: defGr.getValue('name') || '',
@@ -160,7 +67,7 @@ function getApiDefinition() {
 
   // Get all operations for this API
   var opGr = new GlideRecord('sys_ws_operation');
-  opGr.addQuery('web_service_definition', '${sysId}');
+  opGr.addQuery('web_service_definition', API_SYS_ID);
   opGr.orderBy('relative_path');
   opGr.query();
 
@@ -187,7 +94,7 @@ function getApiDefinition() {
 
   // Get query parameters for all operations
   var paramGr = new GlideRecord('sys_ws_query_parameter');
-  paramGr.addQuery('web_service_operation.web_service_definition', '${sysId}');
+  paramGr.addQuery('web_service_operation.web_service_definition', API_SYS_ID);
   paramGr.query();
 
   while (paramGr.next()) {
@@ -400,13 +307,13 @@ getApiDefinition();`;
       const { ui, context } = ctx;
 
       // Check if we're on a sys_ws_definition form
-      if (!this.isOnApiDefinitionForm()) {
+      const page = context.getPageContext();
+      if (page.table !== 'sys_ws_definition') {
         ui.showError('Please navigate to a sys_ws_definition record form first.');
         return;
       }
 
-      // Get the current record's sys_id
-      const sysId = this.getCurrentSysId();
+      const sysId = page.sysId;
       if (!sysId) {
         ui.showError('Unable to detect the current record sys_id. Please ensure you are on a sys_ws_definition form.');
         return;
@@ -504,7 +411,7 @@ getApiDefinition();`;
             content: content
           });
 
-          resultsPage.openPage(html);
+          resultsPage.openPage(html, { ctx });
         }
 
         ui.hide();
@@ -13,18 +13,16 @@
     name: 'random',
     aliases: ['rand', 'r'],
     description: 'Open a random record from a table',
-    usage: 'random <table_name>',
+    readOnly: true,
+    args: [
+      { name: 'table', type: 'table', required: true, rest: true, example: 'incident', description: 'Table name or label' }
+    ],
     examples: [
       'random incident   - Open a random incident',
       'random user       - Open a random user',
       'rand change       - Open a random change request'
     ],
 
-    validate(args) {
-      if (args.length === 0) return 'Usage: random <table_name>';
-      return true;
-    },
-
     async execute(args, ctx) {
       const input = args.join(' ');
       const { ui, context, api } = ctx;
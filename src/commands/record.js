@@ -16,7 +16,8 @@
    * @returns {string} - The GlideRecord script
    */
   function buildSysIdFinderScript(sysId) {
-    return `function findSysID(id) {
+    const script = window.GlassBackgroundScript.script;
+    return script`function findSysID(id) {
   function probeTable(name) {
     try {
       var gr = new GlideRecord(name);
@@ -52,7 +53,7 @@
 
   gs.print("###NOT_FOUND###");
 }
-findSysID("${sysId}");`;
+findSysID(${sysId});`;
   }
 
   /**
@@ -73,25 +74,15 @@ findSysID("${sysId}");`;
     name: 'record',
     aliases: ['open', 'goto'],
     description: 'Open a record directly by sys_id or number',
-    usage: 'record <sys_id|number>',
+    readOnly: true,
+    args: [
+      { name: 'id', type: 'string', required: true, example: 'INC0010001', description: 'sys_id or record number' }
+    ],
     examples: [
       'record 1234567890abcdef1234567890abcdef - Open record by sys_id',
       'record INC0010001                       - Open incident by number'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      if (args.length !== 1) {
-        return 'Usage: record <sys_id|number>';
-      }
-      if (!args[0] || args[0].trim() === '') {
-        return 'Please provide a sys_id or record number.';
-      }
-      return true;
-    },
-
     /**
      * Execute the record command
      */
@@ -123,7 +114,10 @@ findSysID("${sysId}");`;
           ui.showInfo('Resolving sys_id...');
           
           const script = buildSysIdFinderScript(recordInfo.sys_id);
-          const payload = await window.GlassBackgroundScript.executeAndExtract(script, '###', '###', { instanceUrl });
+          const payload = await window.GlassBackgroundScript.executeAndExtract(script, '###', '###', {
+            instanceUrl,
+            relay: { name: 'record', params: [recordInfo.sys_id] }
+          });
           const result = parseResult(payload);
 
           if (!result || !result.table) {
@@ -220,4 +214,7 @@ findSysID("${sysId}");`;
   if (window.GlassCommandRegistry) {
     window.GlassCommandRegistry.register(command);
   }
+  if (window.GlassBackgroundScript) {
+    window.GlassBackgroundScript.relayable('record', buildSysIdFinderScript);
+  }
 })();
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Results Command
+ *
+ * Reopen the results of earlier commands (code, keyword, acl, online, ...)
+ * without running them again. Results are kept per instance, newest first,
+ * up to a retention limit that --limit changes.
+ *
+ * Usage: results               - List stored results on this instance
+ *        results <id>          - Reopen one
+ *        results --limit <n>   - Keep the latest n results per instance
+ *        results --clear       - Delete the stored results of this instance
+ * Example: results 3
+ */
+
+(function() {
+  /**
+   * Format a page size for display
+   * @param {number} chars - Characters stored
+   * @returns {string}
+   */
+  function formatSize(chars) {
+    if (chars < 1024) return `${chars} B`;
+    if (chars < 1024 * 1024) return `${Math.round(chars / 1024)} KB`;
+    return `${(chars / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Open a results page listing the stored results
+   * @param {Array<Object>} entries - Index entries, newest first
+   * @param {number} limit - Retention limit
+   */
+  function showEntries(entries, limit) {
+    const resultsPage = window.GlassResultsPage;
+
+    const rows = entries.map(entry => ({
+      id: entry.id,
+      command: entry.commandLine,
+      title: entry.title,
+      saved: new Date(entry.savedAt).toLocaleString(),
+      size: formatSize(entry.size),
+      reopen: `results ${entry.id}`
+    }));
+
+    const content = resultsPage.buildStats([
+      { value: entries.length, label: 'Stored Results' },
+      { value: limit, label: 'Retention Limit' }
+    ]) + resultsPage.buildSection('Results', resultsPage.buildDataTable({
+      columns: [
+        { key: 'id', label: '#' },
+        { key: 'command', label: 'Command', mono: true },
+        { key: 'title', label: 'Title' },
+        { key: 'saved', label: 'Saved' },
+        { key: 'size', label: 'Size' },
+        { key: 'reopen', label: 'Reopen with', mono: true }
+      ],
+      rows
+    }));
+
+    const html = resultsPage.buildPage({
+      title: 'Results History',
+      subtitle: `${window.location.hostname} · change the limit with results --limit &lt;n&gt;`,
+      content
+    });
+
+    resultsPage.openPage(html, { history: false });
+  }
+
+  const command = {
+    name: 'results',
+    aliases: ['last', 'reopen'],
+    description: 'List and reopen the results of earlier commands',
+    args: [
+      { name: 'id', type: 'number', min: 1, example: '3', description: 'Stored result to reopen' }
+    ],
+    flags: {
+      limit: { type: 'number', min: 1, description: 'Keep this many results per instance' },
+      clear: { type: 'boolean', description: 'Delete the stored results of this instance' }
+    },
+    examples: [
+      'results              - List stored results on this instance',
+      'results 3            - Reopen result #3',
+      'results --limit 50   - Keep the latest 50 results per instance',
+      'results --clear      - Delete the stored results of this instance'
+    ],
+
+    /**
+     * Validate arguments
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} flags - Parsed flags
+     * @returns {true|string}
+     */
+    validate(args, flags) {
+      if (args[0] && (flags.limit !== undefined || flags.clear)) {
+        return 'Give either a result id to reopen or --limit/--clear, not both.';
+      }
+      if (flags.limit !== undefined && flags.limit > window.GlassResultsHistory.MAX_LIMIT) {
+        return `--limit can keep at most ${window.GlassResultsHistory.MAX_LIMIT} results.`;
+      }
+      return true;
+    },
+
+    /**
+     * Execute the results command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} ctx - Execution context
+     */
+    async execute(args, ctx) {
+      const { ui, flags } = ctx;
+      const history = window.GlassResultsHistory;
+
+      if (flags.clear) {
+        const count = await history.clear();
+        ui.showSuccess(`Deleted ${count} stored result(s) on this instance.`, 3000);
+        if (flags.limit === undefined) return;
+      }
+
+      if (flags.limit !== undefined) {
+        const limit = await history.setLimit(flags.limit);
+        ui.showSuccess(`Keeping the latest ${limit} result(s) per instance.`, 3000);
+        return;
+      }
+
+      if (args[0]) {
+        const entry = await history.get(args[0]);
+        if (!entry) {
+          ui.showError(`No stored result #${args[0]} on this instance. Run results to list them.`);
+          return;
+        }
+        window.GlassResultsPage.openPage(entry.html, { history: false });
+        ui.hide();
+        return;
+      }
+
+      const entries = await history.list();
+      if (entries.length === 0) {
+        ui.showInfo('No stored results on this instance yet.');
+        return;
+      }
+      showEntries(entries, await history.getLimit());
+      ui.hide();
+    }
+  };
+
+  // Register command
+  if (window.GlassCommandRegistry) {
+    window.GlassCommandRegistry.register(command);
+  }
+})();
@@ -93,9 +93,8 @@
         }
 
         // Fetch sources from sys_update_set_source
-        const sources = await api.tableGet(instanceUrl, 'sys_update_set_source', {
+        const sources = await api.tableGetAll(instanceUrl, 'sys_update_set_source', {
           fields: ['sys_id', 'name'],
-          limit: 500,
           query: 'active=true',
           displayValue: false
         });
@@ -161,6 +160,10 @@
     if (!input) return getUpdateSources();
 
     const sources = getUpdateSources();
+    if (window.GlassFuzzy) {
+      return window.GlassFuzzy.rank(input, sources, s => [s.name], 10);
+    }
+
     const lowerInput = input.toLowerCase();
 
     // Find matches (startsWith first, then includes)
@@ -204,22 +207,15 @@
     name: 'retrievesets',
     aliases: ['retrieve', 'rs'],
     description: 'Retrieve update sets from a remote instance',
-    usage: 'retrievesets <source_name>',
+    mutating: true,
+    args: [
+      { name: 'source', type: 'string', required: true, rest: true, autocomplete: 'source', example: 'DEV', description: 'Update source name (or the start of it)' }
+    ],
     examples: [
       'retrievesets DEV              - Retrieve from source starting with "DEV"',
       'retrievesets Production       - Retrieve from Production source'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      if (args.length === 0 || args[0].toLowerCase() === 'help') {
-        return 'Usage: retrievesets <source_name>\n\nRetrieves update sets from a remote update source.\nSource names will autocomplete as you type.';
-      }
-      return true;
-    },
-
     /**
      * Execute the retrievesets command
      */
@@ -243,7 +239,12 @@
         if (available.length === 0) {
           ui.showError('No update sources found. Check your permissions.');
         } else {
-          ui.showError(`Source "${sourceName}" not found. Available: ${available.map(s => s.name).slice(0, 5).join(', ')}...`);
+          const [closest] = findMatchingSources(sourceName);
+          if (closest) {
+            ui.showError(`Source "${sourceName}" not found. Did you mean \`${closest.name}\`?`);
+          } else {
+            ui.showError(`Source "${sourceName}" not found. Available: ${available.map(s => s.name).slice(0, 5).join(', ')}...`);
+          }
         }
         return;
       }
@@ -1,30 +1,229 @@
 /**
  * Separate Command
  *
- * Locks a user out by setting active=false, locked_out=true and removes all
+ * Locks users out by setting active=false, locked_out=true and removes all
  * their roles and group memberships via the Table API.
  *
- * Usage: separate <username>
+ * Takes one or more usernames, a `--query` encoded query against sys_user,
+ * or `--csv` to paste a list (one username per line, or a CSV with a
+ * user_name column). Users are processed one at a time with a pause in
+ * between, progress is shown in the overlay, and runs with several users end
+ * on a summary page of what was separated and what failed.
+ *
+ * `--dry-run` shows what would change on a results page; otherwise the
+ * overlay asks for confirmation (type the username, or the number of users)
+ * before anything is written. Each user's deletions go out through the
+ * Batch API, and every write is logged in the journal and can be reverted
+ * with `undo`.
+ *
+ * Usage: separate <username...> [--dry-run] [--yes] [--delay <ms>]
+ *        separate --query <encoded query>
+ *        separate --csv
  */
 
 (function () {
+  // Most users one run will separate
+  const MAX_USERS = 100;
+
+  // Progress lines kept in the overlay during a bulk run
+  const PROGRESS_LINES = 6;
+
+  /**
+   * Escape HTML special characters
+   * @param {string} str - String to escape
+   * @returns {string} - Escaped string
+   */
+  function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  /**
+   * Wait between users so bulk runs do not flood the instance
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Find a username that would break out of the user_nameIN query
+   * @param {Array<string>} usernames - Usernames to check
+   * @returns {string|null} - Error message, or null if every name is safe
+   */
+  function checkUsernames(usernames) {
+    const bad = usernames.find(name => /[\^,=]/.test(name));
+    return bad ? `"${bad}" is not a username: usernames cannot contain ^, , or =.` : null;
+  }
+
+  /**
+   * Read usernames from pasted text
+   * Accepts one username per line or a CSV/TSV whose header has a
+   * user_name (or username) column; otherwise the first column is used.
+   * @param {string} text - Pasted text
+   * @returns {Array<string>} - Usernames, without duplicates
+   */
+  function parseUsernames(text) {
+    const rows = String(text || '')
+      .split(/\r?\n/)
+      .map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')))
+      .filter(cells => cells[0]);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(cell => cell.toLowerCase());
+    let column = header.findIndex(cell => cell === 'user_name' || cell === 'username');
+    if (column === -1) {
+      column = 0;
+    } else {
+      rows.shift();
+    }
+
+    return [...new Set(rows.map(cells => cells[column]).filter(Boolean))];
+  }
+
+  /**
+   * Build one user's section of the preview page
+   * @param {Object} plan - { user, groups, roles }
+   * @returns {string} - Section HTML
+   */
+  function buildPlanSection(plan) {
+    const resultsPage = window.GlassResultsPage;
+    const { user, groups, roles } = plan;
+
+    const account = resultsPage.buildList([
+      { left: 'active', right: `${user.active} → false` },
+      { left: 'locked_out', right: `${user.locked_out} → true` }
+    ]);
+    const groupRows = groups.map(g => ({ action: 'remove', label: escapeHtml(g['group.name'] || g.sys_id), detail: 'remove membership' }));
+    const roleRows = roles.map(r => ({
+      action: 'remove',
+      label: escapeHtml(r['role.name'] || r.sys_id),
+      detail: String(r.inherited) === 'true' ? 'inherited; goes with its group' : 'remove'
+    }));
+
+    return resultsPage.buildSection(
+      `${escapeHtml(user.name || user.user_name)} (${escapeHtml(user.user_name)})`,
+      account + resultsPage.buildDiff([...groupRows, ...roleRows])
+    );
+  }
+
+  /**
+   * Open a results page with the planned changes
+   * @param {Array<Object>} plans - One { user, groups, roles } per user
+   * @param {Array<string>} notFound - Usernames that matched no user
+   * @param {Object} ctx - Execution context of the command (for the results history)
+   */
+  function showPlans(plans, notFound, ctx) {
+    const resultsPage = window.GlassResultsPage;
+
+    let content = resultsPage.buildStats([
+      { value: plans.length, label: 'Users' },
+      { value: plans.reduce((n, p) => n + p.groups.length, 0), label: 'Groups' },
+      { value: plans.reduce((n, p) => n + p.roles.length, 0), label: 'Roles' },
+      { value: notFound.length, label: 'Not Found' }
+    ]);
+    if (notFound.length > 0) {
+      content += resultsPage.buildSection('Not found', resultsPage.buildList(notFound.map(escapeHtml)));
+    }
+    content += plans.map(buildPlanSection).join('');
+
+    const title = plans.length === 1
+      ? `Separate preview: ${escapeHtml(plans[0].user.user_name)}`
+      : `Separate preview: ${plans.length} users`;
+
+    const html = resultsPage.buildPage({
+      title,
+      subtitle: 'Dry run. Nothing has been changed.',
+      content
+    });
+
+    resultsPage.openPage(html, { ctx });
+  }
+
+  /**
+   * Open the summary page of a bulk run
+   * @param {Array<Object>} results - { user_name, name, status, groups, roles, skipped, error }
+   * @param {number|null} journalId - Journal entry of the run
+   * @param {Object} ctx - Execution context of the command (for the results history)
+   */
+  function showSummary(results, journalId, ctx) {
+    const resultsPage = window.GlassResultsPage;
+    const separated = results.filter(r => r.status === 'separated');
+    const failed = results.filter(r => r.status !== 'separated');
+
+    const card = r => ({
+      title: escapeHtml(r.name || r.user_name),
+      subtitle: escapeHtml(r.user_name),
+      meta: r.status === 'separated'
+        ? `Locked out · ${r.groups} group(s) and ${r.roles} role(s) removed${r.skipped ? ` · ${r.skipped} protected role(s) skipped` : ''}`
+        : escapeHtml(r.error),
+      badge: escapeHtml(r.status)
+    });
+
+    let content = resultsPage.buildStats([
+      { value: separated.length, label: 'Separated' },
+      { value: failed.length, label: 'Failed' },
+      { value: separated.reduce((n, r) => n + r.groups, 0), label: 'Groups Removed' },
+      { value: separated.reduce((n, r) => n + r.roles, 0), label: 'Roles Removed' }
+    ]);
+    if (failed.length > 0) {
+      content += resultsPage.buildSection('Failed', resultsPage.buildCardGrid(failed.map(card)));
+    }
+    if (separated.length > 0) {
+      content += resultsPage.buildSection('Separated', resultsPage.buildCardGrid(separated.map(card)));
+    }
+
+    const html = resultsPage.buildPage({
+      title: `Separated ${separated.length} of ${results.length} users`,
+      subtitle: journalId ? `Revert with: <span class="glass-code">undo ${journalId}</span>` : '',
+      content
+    });
+
+    resultsPage.openPage(html, { ctx });
+  }
+
   const command = {
     name: 'separate',
     aliases: ['lockout', 'terminate'],
-    description: 'Lock out a user and strip their roles/groups',
-    usage: 'separate <username>',
-    examples: ['separate john.doe', 'lockout alice'],
+    description: 'Lock out users and strip their roles/groups',
+    mutating: true,
+    args: [
+      { name: 'usernames', type: 'user', rest: true, example: 'john.doe', description: 'Users to lock out and strip of roles and groups' }
+    ],
+    flags: {
+      query: { type: 'string', description: 'Encoded query selecting the sys_user records to separate' },
+      csv: { type: 'boolean', alias: ['paste'], description: 'Paste usernames or a CSV with a user_name column' },
+      delay: { type: 'number', min: 0, default: 500, description: 'Pause between users in ms' },
+      dryRun: { type: 'boolean', alias: ['preview'], description: 'Show the changes on a results page without making them' },
+      yes: { type: 'boolean', description: 'Skip the confirmation prompt' }
+    },
+    examples: [
+      'separate john.doe                   - Lock out john.doe after confirming',
+      'separate john.doe --dry-run         - Preview what would be removed',
+      'separate alice bob carol            - Separate three users in one run',
+      'separate --query department=Sales^active=true --dry-run',
+      'separate --csv                      - Paste a list or CSV export of users'
+    ],
 
-    validate(args) {
-      if (args.length !== 1) {
-        return 'Usage: separate <username>';
+    validate(args, flags) {
+      const sources = [args.length > 0, !!flags.query, !!flags.csv].filter(Boolean).length;
+      if (sources === 0) {
+        return 'Give one or more usernames, --query <encoded query> or --csv.\nUsage: separate <username...> [--dry-run]';
+      }
+      if (sources > 1) {
+        return 'Use usernames, --query or --csv, one at a time.';
       }
-      return true;
+      return checkUsernames(args) || true;
     },
 
     async execute(args, ctx) {
-      const username = args[0];
-      const { ui, api, context } = ctx;
+      const { ui, api, context, flags } = ctx;
 
       const instanceUrl = await context.getInstanceUrl();
       if (!instanceUrl) {
@@ -39,95 +238,286 @@
         return;
       }
 
+      // Progress header plus the latest request lines
+      let progress = '';
       const logMessages = [];
       const log = (msg) => {
         logMessages.push(msg);
-        ui.showInfo(logMessages.join('\n'));
+        ui.showInfo([progress, ...logMessages.slice(-PROGRESS_LINES)].filter(Boolean).join('\n'));
       };
 
-      log(`Separating user: ${username}`);
-
+      // Without sysparm_limit every matching record is fetched, page by page
       const tableGet = async (table, params) => {
         const options = {
-          displayValue: false
+          displayValue: false,
+          excludeReferenceLink: true
         };
         if (params?.sysparm_query) options.query = params.sysparm_query;
         if (params?.sysparm_fields) options.fields = params.sysparm_fields.split(',');
         if (params?.sysparm_limit) options.limit = parseInt(params.sysparm_limit, 10);
 
-        const result = await api.tableGet(instanceUrl, table, options);
+        const result = options.limit
+          ? await api.tableGet(instanceUrl, table, options)
+          : await api.tableGetAll(instanceUrl, table, options);
         log(`GET ${table} → ${result?.length || 0} records`);
         return result;
       };
 
-      const tableDelete = async (table, sysId) => {
-        await api.request(instanceUrl, `/api/now/table/${table}/${sysId}`, {
-          method: 'DELETE'
+      // Journal entry for this run, opened once the user confirms
+      let journal = null;
+
+      // Delete records through the Batch API, journaling each deletion that went through
+      const tableDeleteAll = async (deletes) => {
+        const failed = [];
+        await api.batch(instanceUrl, deletes.map(d => ({
+          method: 'DELETE',
+          endpoint: `/api/now/table/${d.table}/${d.sysId}`
+        })), {
+          onResult: async (i, result) => {
+            const { table, sysId, before } = deletes[i];
+            if (!result.ok) {
+              failed.push({ ...deletes[i], error: result.error });
+              return;
+            }
+            log(`DELETE ${table}/${sysId}`);
+            await journal.record({ method: 'DELETE', table, sysId, before });
+          }
         });
-        log(`DELETE ${table}/${sysId}`);
+        return failed;
       };
 
-      const tablePatch = async (table, sysId, payload) => {
+      const tablePatch = async (table, sysId, payload, before) => {
         await api.request(instanceUrl, `/api/now/table/${table}/${sysId}`, {
           method: 'PATCH',
           body: payload
         });
         log(`PATCH ${table}/${sysId} → ${JSON.stringify(payload)}`);
+        await journal.record({ method: 'PATCH', table, sysId, before, after: payload });
       };
 
-      try {
-        const users = await tableGet('sys_user', {
-          sysparm_query: `user_name=${username}`,
-          sysparm_fields: 'sys_id,user_name',
-          sysparm_limit: 1
-        });
-        const user = users[0];
-        if (!user) {
-          throw new Error(`User not found: ${username}`);
-        }
+      // Fields that recreate a deleted role grant
+      const roleGrant = (r, userId) => ({
+        user: userId,
+        role: r.role?.value || r.role,
+        inherited: String(r.inherited) === 'true'
+      });
+
+      const getGroups = (userId) => tableGet('sys_user_grmember', {
+        sysparm_query: `user=${userId}`,
+        sysparm_fields: 'sys_id,group,group.name'
+      });
 
+      /**
+       * Lock out one user and strip their access
+       * @param {Object} user - sys_user record (sys_id, user_name, active, locked_out)
+       * @returns {Promise<{groups: number, roles: number, skipped: number}>}
+       */
+      const separateUser = async (user) => {
         const userId = user.sys_id;
+        const counts = { groups: 0, roles: 0, skipped: 0 };
 
-        await tablePatch('sys_user', userId, { active: false, locked_out: true });
+        await tablePatch('sys_user', userId, { active: false, locked_out: true }, {
+          active: user.active,
+          locked_out: user.locked_out
+        });
+
+        // Deletions of memberships and direct roles must all succeed
+        const deleteOrFail = async (deletes) => {
+          const failed = await tableDeleteAll(deletes);
+          if (failed.length > 0) {
+            throw new Error(`${failed.length} of ${deletes.length} deletions failed. ${failed[0].table}/${failed[0].sysId}: ${failed[0].error}`);
+          }
+          return deletes.length;
+        };
 
         // 1. Delete group memberships first (removes inherited roles)
-        const groups = await tableGet('sys_user_grmember', {
-          sysparm_query: `user=${userId}`,
-          sysparm_fields: 'sys_id',
-          sysparm_limit: 1000
-        });
-        for (const g of groups) {
-          await tableDelete('sys_user_grmember', g.sys_id);
-        }
+        const groups = await getGroups(userId);
+        counts.groups += await deleteOrFail(groups.map(g => ({
+          table: 'sys_user_grmember',
+          sysId: g.sys_id,
+          before: { user: userId, group: g.group?.value || g.group }
+        })));
 
         // 2. Delete non-inherited roles
         const nonInheritedRoles = await tableGet('sys_user_has_role', {
           sysparm_query: `user=${userId}^inherited=false`,
-          sysparm_fields: 'sys_id,role',
-          sysparm_limit: 1000
+          sysparm_fields: 'sys_id,role,inherited'
         });
-        for (const r of nonInheritedRoles) {
-          await tableDelete('sys_user_has_role', r.sys_id);
-        }
+        counts.roles += await deleteOrFail(nonInheritedRoles.map(r => ({
+          table: 'sys_user_has_role',
+          sysId: r.sys_id,
+          before: roleGrant(r, userId)
+        })));
 
         // 3. Try to delete any remaining roles (might be deletable now after group removal)
         const remainingRoles = await tableGet('sys_user_has_role', {
           sysparm_query: `user=${userId}`,
-          sysparm_fields: 'sys_id,role,inherited',
-          sysparm_limit: 1000
+          sysparm_fields: 'sys_id,role,inherited'
         });
-        for (const r of remainingRoles) {
+        const skipped = await tableDeleteAll(remainingRoles.map(r => ({
+          table: 'sys_user_has_role',
+          sysId: r.sys_id,
+          before: roleGrant(r, userId),
+          role: r
+        })));
+        // Log but don't fail - some inherited roles might still be protected
+        for (const { role: r, error } of skipped) {
+          log(`SKIP ${r.role?.value || r.role} (inherited=${r.inherited}) - ${error || 'protected'}`);
+        }
+        counts.roles += remainingRoles.length - skipped.length;
+        counts.skipped += skipped.length;
+
+        return counts;
+      };
+
+      try {
+        // Collect the users to separate
+        let users;
+        let notFound = [];
+        const userFields = 'sys_id,user_name,name,active,locked_out';
+
+        if (flags.query) {
+          log(`Finding users matching ${flags.query}...`);
+          const matches = await api.tableCount(instanceUrl, 'sys_user', { query: flags.query });
+          if (matches > MAX_USERS) {
+            throw new Error(`The query matches ${matches} users; separate handles at most ${MAX_USERS} per run. Narrow it down and run again.`);
+          }
+          users = await tableGet('sys_user', {
+            sysparm_query: flags.query,
+            sysparm_fields: userFields,
+            sysparm_limit: MAX_USERS + 1
+          });
+        } else {
+          let usernames = [...new Set(args)];
+          if (flags.csv) {
+            const pasted = await ui.openEditor({
+              title: 'Paste usernames (one per line) or a CSV with a user_name column',
+              value: '',
+              scope: null
+            });
+            ui.show();
+            if (!pasted) {
+              ui.showInfo('Separate cancelled. Nothing was changed.');
+              return;
+            }
+            usernames = parseUsernames(pasted.script);
+            const error = checkUsernames(usernames);
+            if (error) {
+              throw new Error(error);
+            }
+          }
+          if (usernames.length > MAX_USERS) {
+            throw new Error(`${usernames.length} users given; separate handles at most ${MAX_USERS} per run.`);
+          }
+
+          log(`Looking up ${usernames.length} user(s)...`);
+          users = usernames.length === 0 ? [] : await tableGet('sys_user', {
+            sysparm_query: `user_nameIN${usernames.join(',')}`,
+            sysparm_fields: userFields,
+            sysparm_limit: usernames.length + 1
+          });
+          const found = new Set(users.map(u => u.user_name.toLowerCase()));
+          notFound = usernames.filter(name => !found.has(name.toLowerCase()));
+
+          // Every record must be one of the requested users, and each of them at most once
+          const requested = new Set(usernames.map(name => name.toLowerCase()));
+          const foundCount = requested.size - new Set(notFound.map(name => name.toLowerCase())).size;
+          if (users.length !== foundCount || users.some(u => !requested.has(u.user_name.toLowerCase()))) {
+            throw new Error(`Looking up ${usernames.length} username(s) matched ${users.length} user record(s), which does not add up. Nothing was changed.`);
+          }
+        }
+
+        if (users.length > MAX_USERS) {
+          throw new Error(`The query matches more than ${MAX_USERS} users. Narrow it down and run again.`);
+        }
+        if (users.length === 0) {
+          throw new Error(notFound.length > 0 ? `User not found: ${notFound.join(', ')}` : 'No users matched.');
+        }
+
+        if (flags.dryRun) {
+          const plans = [];
+          for (const user of users) {
+            const groups = await getGroups(user.sys_id);
+            const roles = await tableGet('sys_user_has_role', {
+              sysparm_query: `user=${user.sys_id}`,
+              sysparm_fields: 'sys_id,role.name,inherited'
+            });
+            plans.push({ user, groups, roles });
+          }
+          showPlans(plans, notFound, ctx);
+          ui.showSuccess(`Preview opened for ${users.length} user(s). Nothing was changed.`, 4000);
+          return;
+        }
+
+        if (!flags.yes) {
+          const single = users.length === 1 ? users[0] : null;
+          const names = users.slice(0, 8).map(u => u.user_name).join(', ') + (users.length > 8 ? `, and ${users.length - 8} more` : '');
+          const lines = [
+            `Set active=false and locked_out=true on ${names}`,
+            'Remove every group membership and role, direct and inherited'
+          ];
+          if (notFound.length > 0) {
+            lines.push(`Not found (skipped): ${notFound.join(', ')}`);
+          }
+
+          const confirmed = await ui.confirm({
+            title: single ? `Separate ${single.name || single.user_name}?` : `Separate ${users.length} users?`,
+            lines,
+            confirmLabel: single ? 'Separate user' : `Separate ${users.length} users`,
+            requireText: single ? single.user_name : `${users.length} users`
+          });
+          ui.show();
+          if (!confirmed) {
+            ui.showInfo('Separate cancelled. Nothing was changed.');
+            return;
+          }
+        }
+
+        journal = await window.GlassJournal.begin({
+          command: 'separate',
+          description: users.length === 1 ? users[0].user_name : `${users.length} users`,
+          instanceUrl
+        });
+
+        const results = notFound.map(name => ({ user_name: name, status: 'failed', error: 'User not found' }));
+        for (let i = 0; i < users.length; i++) {
+          const user = users[i];
+          progress = `[${i + 1}/${users.length}] Separating ${user.user_name}...`;
+          logMessages.length = 0;
+          log(`PATCH sys_user (${user.name || user.user_name})`);
+
           try {
-            await tableDelete('sys_user_has_role', r.sys_id);
-          } catch (deleteErr) {
-            // Log but don't fail - some inherited roles might still be protected
-            log(`SKIP ${r.role} (inherited=${r.inherited}) - ${deleteErr.message || 'protected'}`);
+            const counts = await separateUser(user);
+            results.push({ user_name: user.user_name, name: user.name, status: 'separated', ...counts });
+          } catch (err) {
+            results.push({ user_name: user.user_name, name: user.name, status: 'failed', error: err.message || String(err) });
+          }
+
+          if (i < users.length - 1 && flags.delay > 0) {
+            await sleep(flags.delay);
           }
         }
 
-        ui.showSuccess(`User ${username} is now separated.`);
+        const failed = results.filter(r => r.status !== 'separated');
+        await journal.finish(failed.length === results.length ? 'failed' : 'done');
+
+        if (results.length === 1 && failed.length === 0) {
+          ui.showSuccess(`User ${users[0].user_name} is now separated.\nRevert with: undo ${journal.id}`, 4000);
+          return;
+        }
+        if (results.length === 1) {
+          throw new Error(failed[0].error);
+        }
+
+        showSummary(results, journal.id, ctx);
+        const message = `Separated ${results.length - failed.length} of ${results.length} users. Revert with: undo ${journal.id}`;
+        if (failed.length > 0) {
+          ui.showError(`${message}\nFailed: ${failed.map(r => r.user_name).join(', ')}`);
+        } else {
+          ui.showSuccess(message, 4000);
+        }
       } catch (err) {
-        ui.showError(`Separate failed: ${err.message || err}`);
+        ui.showError(`Separate failed: ${err.message || err}${journal ? `\nChanges made so far can be reverted with: undo ${journal.id}` : ''}`);
       }
     }
   };
@@ -0,0 +1,361 @@
+/**
+ * Snippet Command
+ *
+ * A library of named background scripts with `${param}` placeholders.
+ * Each placeholder is replaced with the argument given on the command line,
+ * encoded as a JavaScript string literal (quotes included), so values can
+ * never break out of the script. Write `\${...}` for a literal `${...}`.
+ *
+ * The library is shared by every instance and can be exported/imported as
+ * JSON to pass around the team.
+ *
+ * Usage: snippet                           - List snippets
+ *        snippet save <name>               - Create or edit a snippet in the editor
+ *        snippet run <name> [values...]    - Run a snippet
+ *        snippet show <name>               - Show a snippet's script
+ *        snippet delete <name>             - Delete a snippet
+ *        snippet export                    - Download the library as JSON
+ *        snippet import                    - Paste a JSON library to merge in
+ * Example: snippet run fixStuckApprovals RITM0012345
+ */
+
+(function() {
+  const STORAGE_KEY = 'glass_snippets';
+
+  const NAME_PATTERN = /^[a-z][\w-]*$/i;
+
+  // ${param} placeholders; a preceding backslash keeps them literal
+  const PLACEHOLDER_PATTERN = /(\\?)\$\{([A-Za-z_]\w*)\}/g;
+
+  const NEW_SNIPPET_TEMPLATE = [
+    '// ${param} placeholders become quoted string literals when the snippet runs',
+    'var number = ${number};',
+    '',
+    'var gr = new GlideRecord("task");',
+    'if (gr.get("number", number)) {',
+    '  gs.info(gr.getDisplayValue());',
+    '}'
+  ].join('\n');
+
+  /**
+   * Escape HTML special characters
+   * @param {string} str - String to escape
+   * @returns {string} - Escaped string
+   */
+  function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  /**
+   * List the parameters a script declares, in order of first use
+   * @param {string} script - Snippet script
+   * @returns {Array<string>} - Parameter names
+   */
+  function findParams(script) {
+    const params = [];
+    for (const match of script.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!match[1] && !params.includes(match[2])) {
+        params.push(match[2]);
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Fill a snippet's placeholders with script literals
+   * @param {Object} snippet - Snippet definition
+   * @param {Array<string>} values - Values in parameter order
+   * @returns {string} - Runnable script
+   */
+  function fillParams(snippet, values) {
+    const literal = window.GlassBackgroundScript.scriptLiteral;
+    return snippet.script.replace(PLACEHOLDER_PATTERN, (match, escaped, param) => {
+      if (escaped) return match.slice(1);
+      return literal(values[snippet.params.indexOf(param)]);
+    });
+  }
+
+  /**
+   * Load the snippet library
+   * @param {Object} context - Glass context
+   * @returns {Promise<Object>} - name -> snippet
+   */
+  async function loadLibrary(context) {
+    const library = await context.getLocal(STORAGE_KEY, {});
+    return library && typeof library === 'object' ? library : {};
+  }
+
+  /**
+   * Check one imported snippet and normalise it
+   * @param {string} name - Snippet name
+   * @param {Object} entry - Imported entry
+   * @returns {Object|null} - Snippet, or null if it is not usable
+   */
+  function normaliseSnippet(name, entry) {
+    if (!NAME_PATTERN.test(name) || !entry || typeof entry.script !== 'string' || !entry.script.trim()) {
+      return null;
+    }
+    return {
+      name,
+      description: typeof entry.description === 'string' ? entry.description : '',
+      scope: typeof entry.scope === 'string' && entry.scope ? entry.scope : 'global',
+      script: entry.script,
+      params: findParams(entry.script),
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Download the library as a JSON file
+   * @param {Object} library - name -> snippet
+   */
+  function downloadLibrary(library) {
+    const exported = {};
+    Object.keys(library).sort().forEach(name => {
+      const { description, scope, script } = library[name];
+      exported[name] = { description, scope, script };
+    });
+
+    const blob = new Blob([JSON.stringify({ glassSnippets: 1, snippets: exported }, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'glass-snippets.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  /**
+   * Open a results page listing the library
+   * @param {Object} library - name -> snippet
+   */
+  function showLibrary(library) {
+    const resultsPage = window.GlassResultsPage;
+    const names = Object.keys(library).sort();
+
+    const cards = names.map(name => {
+      const snippet = library[name];
+      const usage = ['snippet run', name, ...snippet.params.map(p => `<${p}>`)].join(' ');
+      return {
+        title: escapeHtml(name),
+        subtitle: escapeHtml(snippet.description || snippet.script.split('\n')[0]),
+        meta: `<span class="glass-code">${escapeHtml(usage)}</span>`,
+        badge: snippet.scope && snippet.scope !== 'global' ? escapeHtml(snippet.scope) : ''
+      };
+    });
+
+    const content = resultsPage.buildStats([
+      { value: names.length, label: 'Snippets' }
+    ]) + resultsPage.buildSection('Snippets', resultsPage.buildCardGrid(cards));
+
+    const html = resultsPage.buildPage({
+      title: 'Snippets',
+      subtitle: 'Saved background scripts',
+      content
+    });
+
+    resultsPage.openPage(html, { history: false });
+  }
+
+  /**
+   * Open a results page with one snippet's script
+   * @param {Object} snippet - Snippet definition
+   */
+  function showSnippet(snippet) {
+    const resultsPage = window.GlassResultsPage;
+
+    const params = snippet.params.length > 0
+      ? resultsPage.buildList(snippet.params.map((p, i) => ({ left: escapeHtml(p), right: `argument ${i + 1}` })))
+      : '<div class="glass-card"><div class="glass-card-subtitle">No parameters.</div></div>';
+
+    const content =
+      resultsPage.buildSection('Parameters', params) +
+      resultsPage.buildSection('Script', `<pre>${escapeHtml(snippet.script)}</pre>`);
+
+    const html = resultsPage.buildPage({
+      title: `Snippet: ${escapeHtml(snippet.name)}`,
+      subtitle: escapeHtml(snippet.description || `Scope: ${snippet.scope}`),
+      content
+    });
+
+    resultsPage.openPage(html, { history: false });
+  }
+
+  const command = {
+    name: 'snippet',
+    aliases: ['snip', 'snippets'],
+    description: 'Save, share and run parameterised background scripts',
+    args: [
+      { name: 'action', type: 'enum', values: ['list', 'run', 'save', 'show', 'delete', 'export', 'import'], example: 'run', description: 'What to do (default: list)' },
+      { name: 'name', type: 'string', example: 'fixStuckApprovals', description: 'Snippet name' },
+      { name: 'values', type: 'string', rest: true, example: 'RITM0012345', description: 'Values for the snippet parameters, in order' }
+    ],
+    flags: {
+      description: { type: 'string', description: 'Description to store with `snippet save`' }
+    },
+    examples: [
+      'snippet                                     - List saved snippets',
+      'snippet save fixStuckApprovals              - Write a new snippet in the editor',
+      'snippet run fixStuckApprovals RITM0012345   - Run it with number = "RITM0012345"',
+      'snippet export                              - Download the library as JSON'
+    ],
+
+    // Only running a snippet executes its script on the instance
+    mutating(args) {
+      return (args[0] || '').toLowerCase() === 'run';
+    },
+
+    validate(args) {
+      const action = (args[0] || 'list').toLowerCase();
+      if (['run', 'save', 'show', 'delete'].includes(action)) {
+        if (!args[1]) {
+          return `Usage: snippet ${action} <name>`;
+        }
+        if (!NAME_PATTERN.test(args[1])) {
+          return 'Snippet names must start with a letter and use only letters, digits, - and _.';
+        }
+      }
+      return true;
+    },
+
+    async execute(args, ctx) {
+      const { ui, context, flags } = ctx;
+      const action = (args[0] || 'list').toLowerCase();
+      const name = args[1];
+      const library = await loadLibrary(context);
+      const snippet = name ? library[name] : null;
+
+      if (['run', 'show', 'delete'].includes(action) && !snippet) {
+        const closest = window.GlassFuzzy ? window.GlassFuzzy.closest(name, Object.keys(library)) : null;
+        ui.showError(`No snippet named ${name}.${closest ? ` Did you mean \`${closest}\`?` : ''}`);
+        return;
+      }
+
+      switch (action) {
+        case 'list': {
+          if (Object.keys(library).length === 0) {
+            ui.showInfo('No snippets yet. Create one with: snippet save <name>');
+            return;
+          }
+          showLibrary(library);
+          ui.hide();
+          return;
+        }
+
+        case 'show': {
+          showSnippet(snippet);
+          ui.hide();
+          return;
+        }
+
+        case 'run': {
+          const values = args.slice(2);
+          if (values.length < snippet.params.length) {
+            const missing = snippet.params.slice(values.length).map(p => `<${p}>`).join(' ');
+            ui.showError(`Missing ${missing}. Usage: snippet run ${name} ${snippet.params.map(p => `<${p}>`).join(' ')}`);
+            return;
+          }
+          if (values.length > snippet.params.length) {
+            ui.showError(`${name} takes ${snippet.params.length} argument${snippet.params.length === 1 ? '' : 's'}; quote values that contain spaces.`);
+            return;
+          }
+          await window.GlassRunScript(fillParams(snippet, values), snippet.scope, ctx);
+          return;
+        }
+
+        case 'save': {
+          const edited = await ui.openEditor({
+            title: `Snippet: ${name}`,
+            value: snippet ? snippet.script : NEW_SNIPPET_TEMPLATE,
+            scope: snippet ? snippet.scope : 'global'
+          });
+          if (!edited) {
+            return;
+          }
+
+          const saved = normaliseSnippet(name, {
+            script: edited.script,
+            scope: edited.scope,
+            description: flags.description !== undefined ? flags.description : (snippet ? snippet.description : '')
+          });
+          await context.storeLocal(STORAGE_KEY, { ...library, [name]: saved });
+
+          const params = saved.params.length > 0 ? ` (parameters: ${saved.params.join(', ')})` : '';
+          ui.showSuccess(`${snippet ? 'Updated' : 'Saved'} snippet ${name}${params}.`, 4000);
+          return;
+        }
+
+        case 'delete': {
+          const next = { ...library };
+          delete next[name];
+          await context.storeLocal(STORAGE_KEY, next);
+          ui.showSuccess(`Deleted snippet ${name}.`);
+          return;
+        }
+
+        case 'export': {
+          if (Object.keys(library).length === 0) {
+            ui.showError('No snippets to export.');
+            return;
+          }
+          downloadLibrary(library);
+          ui.showSuccess(`Exported ${Object.keys(library).length} snippets.`);
+          return;
+        }
+
+        case 'import': {
+          const pasted = await ui.openEditor({
+            title: 'Paste an exported snippet library (JSON)',
+            value: '',
+            scope: null
+          });
+          if (!pasted) {
+            return;
+          }
+
+          let parsed;
+          try {
+            parsed = JSON.parse(pasted.script);
+          } catch (e) {
+            ui.showError(`Not valid JSON: ${e.message}`);
+            return;
+          }
+
+          const entries = parsed && parsed.snippets && typeof parsed.snippets === 'object' ? parsed.snippets : parsed;
+          const next = { ...library };
+          let imported = 0;
+          let skipped = 0;
+          Object.keys(entries || {}).forEach(key => {
+            const normalised = normaliseSnippet(key, entries[key]);
+            if (normalised) {
+              next[key] = normalised;
+              imported++;
+            } else {
+              skipped++;
+            }
+          });
+
+          if (imported === 0) {
+            ui.showError('No usable snippets found in the pasted JSON.');
+            return;
+          }
+          await context.storeLocal(STORAGE_KEY, next);
+          ui.showSuccess(`Imported ${imported} snippet${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped}` : ''}.`, 4000);
+          return;
+        }
+      }
+    }
+  };
+
+  // Register command
+  if (window.GlassCommandRegistry) {
+    window.GlassCommandRegistry.register(command);
+  }
+})();
@@ -12,19 +12,12 @@
     name: 'stats',
     aliases: ['statistics', 'performance'],
     description: 'Open statistics/performance page',
-    usage: 'stats',
+    readOnly: true,
+    args: [],
     examples: [
       'stats - Open the platform statistics interface'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // No arguments needed
-      return true;
-    },
-
     /**
      * Execute the stats command
      */
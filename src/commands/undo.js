@@ -0,0 +1,130 @@
+/**
+ * Undo Command
+ *
+ * Revert a journaled mirror or separate run by replaying the inverse of its
+ * writes through the Table API: created records are deleted, deleted
+ * grants and memberships are re-created and patched fields are restored.
+ * Without an id, the latest entry on this instance that is not undone yet
+ * is used.
+ *
+ * Usage: undo [id] [--yes]
+ * Example: undo
+ *          undo 12
+ */
+
+(function() {
+  const command = {
+    name: 'undo',
+    aliases: ['revert'],
+    description: 'Revert a journaled mirror or separate run',
+    mutating: true,
+    args: [
+      { name: 'id', type: 'number', min: 1, example: '12', description: 'Journal entry to revert (default: latest on this instance)' }
+    ],
+    flags: {
+      yes: { type: 'boolean', description: 'Skip the confirmation prompt' }
+    },
+    examples: [
+      'undo      - Revert the latest operation on this instance',
+      'undo 12   - Revert journal entry #12'
+    ],
+
+    /**
+     * Execute the undo command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} ctx - Execution context
+     */
+    async execute(args, ctx) {
+      const { ui, api, context, flags } = ctx;
+      const journal = window.GlassJournal;
+
+      const instanceUrl = await context.getInstanceUrl();
+      if (!instanceUrl) {
+        ui.showError('Unable to detect instance.');
+        return;
+      }
+      const host = new URL(instanceUrl).hostname;
+
+      let entry;
+      if (args[0]) {
+        entry = await journal.get(args[0]);
+        if (!entry) {
+          ui.showError(`No journal entry #${args[0]}. Run journal to list them.`);
+          return;
+        }
+      } else {
+        const entries = await journal.list();
+        entry = entries.find(e => e.instance === host && e.status !== 'undone' && e.operations.length > 0);
+        if (!entry) {
+          ui.showInfo('Nothing to undo on this instance.');
+          return;
+        }
+      }
+
+      if (entry.instance !== host) {
+        ui.showError(`Journal entry #${entry.id} ran on ${entry.instance}. Open that instance to undo it.`);
+        return;
+      }
+      if (entry.status === 'undone') {
+        ui.showError(`Journal entry #${entry.id} has already been undone.`);
+        return;
+      }
+
+      const pending = entry.operations.filter(op => !op.undone && journal.inverseOf(op));
+      if (pending.length === 0) {
+        ui.showInfo(`Journal entry #${entry.id} has no writes left to revert.`);
+        return;
+      }
+
+      if (!flags.yes) {
+        const confirmed = await ui.confirm({
+          title: `Undo #${entry.id}: ${entry.command} ${entry.description}?`,
+          lines: [
+            `Ran ${new Date(entry.startedAt).toLocaleString()} on ${entry.instance}`,
+            `Replay ${pending.length} inverse write(s), newest first`,
+            'Changes made to these records since then may be overwritten'
+          ],
+          confirmLabel: 'Undo'
+        });
+        ui.show();
+        if (!confirmed) {
+          ui.showInfo('Undo cancelled.');
+          return;
+        }
+      }
+
+      const logMessages = [`Undoing #${entry.id}: ${entry.command} ${entry.description}...`];
+      ui.showInfo(logMessages[0]);
+
+      let result;
+      try {
+        result = await journal.undo(entry, api, line => {
+          logMessages.push(line);
+          ui.showInfo(logMessages.join('\n'));
+        });
+      } catch (error) {
+        const reverted = error.result ? error.result.reverted : 0;
+        ui.showError([
+          `Undo stopped after reverting ${reverted} write(s): ${error.message}`,
+          `Run undo ${entry.id} again to retry the rest.`
+        ].join('\n'));
+        return;
+      }
+
+      if (result.failed.length > 0) {
+        ui.showError([
+          `Reverted ${result.reverted} write(s); ${result.failed.length} failed:`,
+          ...result.failed,
+          `Run undo ${entry.id} again to retry.`
+        ].join('\n'));
+        return;
+      }
+      ui.showSuccess(`Reverted ${result.reverted} write(s) of #${entry.id}.`, 4000);
+    }
+  };
+
+  // Register command
+  if (window.GlassCommandRegistry) {
+    window.GlassCommandRegistry.register(command);
+  }
+})();
@@ -2,7 +2,7 @@
  * Upload Command
  *
  * Open XML import page for a table.
- * Uses table auto-complete. If no table specified, detects from current URL.
+ * Uses table auto-complete. If no table specified, uses the table being viewed.
  *
  * Usage: upload [table_name]
  * Example: upload incident
@@ -13,21 +13,15 @@
     name: 'upload',
     aliases: ['import', 'load'],
     description: 'Open XML import page for a table',
-    usage: 'upload [table_name]',
+    args: [
+      { name: 'table', type: 'table', required: false, rest: true, example: 'incident', description: 'Table name or label (defaults to the table being viewed)' }
+    ],
     examples: [
       'upload incident    - Open XML import for incident table',
       'upload             - Import to current table (if viewing record/list)',
       'upload user        - Open XML import for sys_user table'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // Arguments are optional - will auto-detect if not provided
-      return true;
-    },
-
     /**
      * Execute the upload command
      */
@@ -49,10 +43,10 @@
           ? window.GlassResolveTableName(input)
           : input.toLowerCase();
       } else {
-        // No table specified - try to detect from current URL
-        tableName = detectCurrentTable();
+        // No table specified - use the table being viewed
+        tableName = context.getPageContext().table;
         if (!tableName) {
-          ui.showError('No table specified and unable to detect current table from URL. Please specify a table name.');
+          ui.showError('No table specified and unable to detect the current table. Please specify a table name.');
           return;
         }
       }
@@ -72,34 +66,6 @@
     }
   };
 
-  /**
-   * Detect current table from URL
-   * @returns {string|null} - Table name or null if not found
-   */
-  function detectCurrentTable() {
-    const currentUrl = decodeURIComponent(window.location.href);
-
-    // Pattern 1: Direct table URLs (table.do, table_list.do)
-    let match = currentUrl.match(/\/([^\/]+?)_(?:list\.do|\.do)/i);
-    if (match) {
-      return match[1];
-    }
-
-    // Pattern 2: Navigation URLs with params/target/
-    match = currentUrl.match(/\/params\/target\/([^\/]+?)\.do/i);
-    if (match) {
-      return match[1];
-    }
-
-    // Pattern 3: Look for table in URL parameters
-    match = currentUrl.match(/[?&]sysparm_target=([^&]+)/i);
-    if (match) {
-      return decodeURIComponent(match[1]);
-    }
-
-    return null;
-  }
-
   // Register command
   if (window.GlassCommandRegistry) {
     window.GlassCommandRegistry.register(command);
@@ -4,7 +4,9 @@
  * Export the currently opened record to XML and download.
  *
  * Usage: xml
+ *        <producer> | xml
  * Example: xml
+ *          keyword INC0010001 | xml
  */
 
 (function() {
@@ -12,62 +14,33 @@
     name: 'xml',
     aliases: ['export', 'unload'],
     description: 'Export current record to XML',
-    usage: 'xml',
+    readOnly: true,
+    args: [],
+    consumes: true,
     examples: [
-      'xml - Export the currently viewed record as XML'
+      'xml                      - Export the currently viewed record as XML',
+      'keyword INC0010001 | xml - Export the piped records (one file per table)'
     ],
 
-    /**
-     * Validate arguments
-     */
-    validate(args) {
-      // No arguments needed
-      return true;
-    },
-
     /**
      * Execute the xml command
      */
     async execute(args, ctx) {
       const { ui, context } = ctx;
 
-      // Try to extract table and sys_id from current URL
-      // Handle various URL patterns including navigation URLs
-      const currentUrl = window.location.href;
-
-      // First, try to decode URL-encoded characters
-      const decodedUrl = decodeURIComponent(currentUrl);
-
-      // Match patterns for different URL structures
-      let urlMatch = null;
-
-      // Pattern 1: Direct table.do URLs
-      urlMatch = decodedUrl.match(/\/([^\/]+)\.do.*(?:sys_id=|sysparm_sys_id=)([a-f0-9]{32})/i);
-
-      // Pattern 2: Navigation URLs with params/target/
-      if (!urlMatch) {
-        urlMatch = decodedUrl.match(/\/params\/target\/([^\/]+)\.do\?.*sys_id=([a-f0-9]{32})/i);
-      }
-
-      // Pattern 3: Simple sys_id parameter anywhere in URL
-      if (!urlMatch) {
-        urlMatch = decodedUrl.match(/sys_id=([a-f0-9]{32})/i);
-        if (urlMatch) {
-          // Try to extract table from URL path
-          const tableMatch = decodedUrl.match(/\/([^\/]+)\.do/i);
-          if (tableMatch) {
-            urlMatch = [null, tableMatch[1], urlMatch[1]];
-          }
-        }
+      if (ctx.input) {
+        await this.exportRecords(ctx.input, context, ui);
+        return;
       }
 
-      if (!urlMatch) {
+      const page = context.getPageContext();
+      if (!page.table || !page.sysId) {
         ui.showError('Unable to detect current record. Please make sure you are viewing a record page.');
         return;
       }
 
-      const tableName = urlMatch[1];
-      const sysId = urlMatch[2];
+      const tableName = page.table;
+      const sysId = page.sysId;
 
       const instanceUrl = await context.getInstanceUrl();
       if (!instanceUrl) {
@@ -82,6 +55,36 @@
       ui.hide();
 
       window.location.href = xmlUrl;
+    },
+
+    /**
+     * Export piped records to XML, one unload per table
+     * @param {Array<Object>} records - Piped records
+     * @param {Object} context - Glass context
+     * @param {Object} ui - Glass UI
+     */
+    async exportRecords(records, context, ui) {
+      const instanceUrl = await context.getInstanceUrl();
+      if (!instanceUrl) {
+        ui.showError('Unable to detect instance.');
+        return;
+      }
+
+      const groups = window.GlassCommandRegistry.groupRecordsByTable(records);
+      if (groups.size === 0) {
+        ui.showError('No piped records with a table and sys_id.');
+        return;
+      }
+
+      const urls = Array.from(groups.entries()).map(([table, ids]) =>
+        `${instanceUrl}/${table}.do?UNL&sysparm_query=${encodeURIComponent('sys_idIN' + ids.join(','))}`
+      );
+
+      ui.showSuccess(`Exporting ${records.length} record(s) across ${groups.size} table(s) to XML...`);
+      ui.hide();
+
+      urls.slice(1).forEach(url => window.open(url, '_blank'));
+      window.location.href = urls[0];
     }
   };
 
@@ -16,6 +16,7 @@
   let commandCarousel = null;
   let carouselInner = null;
   let feedbackDiv = null;
+  let dropdown = null;
   
   let isDragging = false;
   let hasMoved = false;
@@ -30,9 +31,44 @@
   let historyIndex = -1;
   let onExecuteCallback = null;
 
+  // Argument suggestion dropdown state
+  let dropdownItems = [];
+  let dropdownIndex = 0;
+  let dropdownText = null;
+
+  // Multi-line editor state
+  let editorPanel = null;
+  let editorResolve = null;
+
+  // Inline results panel (its own slot, so a confirmation can open over it)
+  let resultsPanel = null;
+
+  // dev, test or prod once GlassEnvironment has classified the instance
+  let environment = null;
+
+  // Ctrl+R reverse search state
+  let isSearching = false;
+  let searchMatchIndex = -1;
+  let inputBeforeSearch = '';
+
   const CIRCLE_SIZE = 58;
   const CIRCLE_WIDTH_ACTIVE = 340;
   const CAROUSEL_HEIGHT = 28;
+  const HISTORY_LIMIT = 200;
+
+  // Results page styles that only apply inside the inline results panel
+  const INLINE_RESULTS_STYLES = `
+    .glass-container { max-width: none; border: none; border-radius: 0; box-shadow: none; }
+    .glass-header { padding: 16px 20px; }
+    .glass-header h1 { display: none; }
+    .glass-content { padding: 20px; }
+    .glass-footer { display: none; }
+    .glass-selected { outline: 2px solid #7dd3fc; outline-offset: -2px; background: rgba(125, 211, 252, 0.1); }
+  `;
+
+  // What arrow keys step through in the results panel
+  const RESULT_ITEMS = '.glass-table tbody tr:not(.glass-table-group), .glass-card, .glass-diff li, .glass-list li';
+  const DROPDOWN_SIZE = 6;
 
   // Glass colors - frosted glass aesthetic
   const GLASS_PRIMARY = 'rgba(255, 255, 255, 0.12)';
@@ -57,6 +93,10 @@
     const allCommands = getAllCommands();
     if (!input) return allCommands;
     
+    if (window.GlassFuzzy) {
+      return window.GlassFuzzy.rank(input, allCommands, cmd => [cmd.name, ...cmd.aliases]);
+    }
+
     const lower = input.toLowerCase();
     return allCommands.filter(cmd => 
       cmd.name.toLowerCase().startsWith(lower) ||
@@ -80,45 +120,138 @@
     return spaceIdx > 0 ? value.substring(spaceIdx + 1) : '';
   }
 
+  /**
+   * Find the schema argument currently being typed
+   * Flags are skipped; a rest argument covers every remaining word.
+   * @returns {{def: Object, text: string}|null} - Argument definition and text typed for it
+   */
+  function getActiveArgument() {
+    const registry = window.GlassCommandRegistry;
+    const cmd = registry && registry.get(getCommandPart());
+    if (!cmd || !Array.isArray(cmd.args) || cmd.args.length === 0) return null;
+
+    const words = getArgumentPart().split(' ');
+    const current = words[words.length - 1];
+    if (current.startsWith('-') || /["'|]/.test(getArgumentPart())) return null;
+
+    const positional = words.filter(w => w && !w.startsWith('--'));
+    if (current === '') positional.push('');
+
+    for (let i = 0; i < cmd.args.length; i++) {
+      const def = cmd.args[i];
+      if (def.rest) {
+        return { def, text: positional.slice(i).join(' ') };
+      }
+      if (i === positional.length - 1) {
+        return { def, text: positional[i] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Complete the text typed for an argument from its kind of values
+   * @param {string} kind - 'table', 'user', 'source' or 'command'
+   * @param {string} text - Text typed so far
+   * @returns {string} - Remaining characters of the best match
+   */
+  function completeArgument(kind, text) {
+    const lowerText = text.toLowerCase();
+    let candidates = [];
+
+    if (kind === 'table' && window.GlassFindMatchingTables) {
+      candidates = window.GlassFindMatchingTables(text).flatMap(m => [m.name, m.table]);
+    } else if (kind === 'user' && window.GlassFindMatchingUsers) {
+      candidates = window.GlassFindMatchingUsers(text).map(m => m.user_name);
+    } else if (kind === 'source' && window.GlassFindMatchingSources) {
+      candidates = window.GlassFindMatchingSources(text).map(m => m.name);
+    } else if (kind === 'command' && window.GlassCommandRegistry) {
+      candidates = window.GlassCommandRegistry.findMatching(text);
+    }
+
+    const match = candidates.find(c => c && c.toLowerCase().startsWith(lowerText));
+    return match ? match.slice(text.length) : '';
+  }
+
+  /**
+   * Rebuild the dropdown for the argument being typed
+   * Only table arguments get a dropdown; other kinds keep the ghost completion.
+   */
+  function updateDropdown() {
+    const active = isInArgumentMode() && !isSearching ? getActiveArgument() : null;
+    const kind = active ? (active.def.autocomplete || active.def.type) : null;
+
+    if (kind !== 'table' || !active.text || !window.GlassFindMatchingTables) {
+      dropdownItems = [];
+      dropdownText = null;
+    } else if (active.text !== dropdownText) {
+      dropdownItems = window.GlassFindMatchingTables(active.text).slice(0, DROPDOWN_SIZE);
+      dropdownIndex = 0;
+      dropdownText = active.text;
+    }
+
+    renderDropdown();
+  }
+
+  function renderDropdown() {
+    if (!dropdown) return;
+
+    if (!isActive || dropdownItems.length === 0) {
+      dropdown.classList.remove('visible');
+      dropdown.innerHTML = '';
+      return;
+    }
+
+    dropdown.innerHTML = dropdownItems.map((item, i) => `
+      <div class="glass-dropdown-item${i === dropdownIndex ? ' selected' : ''}" data-index="${i}">
+        <span class="glass-dropdown-name">${escapeHtml(item.table)}</span>
+        <span class="glass-dropdown-label">${escapeHtml(item.name)}</span>
+        <span class="glass-dropdown-scope${item.scope && item.scope !== 'global' ? ' scoped' : ''}">${escapeHtml(item.scope || 'global')}</span>
+      </div>
+    `).join('');
+    dropdown.classList.add('visible');
+  }
+
+  function moveDropdown(dir) {
+    dropdownIndex = (dropdownIndex + dir + dropdownItems.length) % dropdownItems.length;
+    autocompleteField.value = inputField.value + getAutocompleteSuggestion();
+    renderDropdown();
+  }
+
+  /**
+   * Replace the argument being typed with the selected dropdown table
+   * @returns {boolean} - true if the input changed
+   */
+  function acceptDropdown() {
+    const item = dropdownItems[dropdownIndex];
+    const value = inputField.value;
+    if (!item || dropdownText === null || !value.endsWith(dropdownText)) return false;
+
+    const next = value.slice(0, value.length - dropdownText.length) + item.table;
+    if (next === value) return false;
+
+    inputField.value = next;
+    updateAutocomplete();
+    return true;
+  }
+
   function getAutocompleteSuggestion() {
     const value = inputField.value;
     if (!value) return '';
 
     if (isInArgumentMode()) {
-      const cmdPart = getCommandPart().toLowerCase();
-      const argPart = getArgumentPart();
-      
-      const tableCommands = ['list', 'ls', 'l', 'do', 'new', 'create', 'filter', 'f', 'config', 'upload', 'random', 'rand', 'r'];
-      const sourceCommands = ['retrievesets', 'retrieve', 'rs'];
-      
-      if (tableCommands.includes(cmdPart) && argPart.length >= 1 && window.GlassFindMatchingTables) {
-        const matches = window.GlassFindMatchingTables(argPart);
-        if (matches.length > 0) {
-          const match = matches[0];
-          const lowerArg = argPart.toLowerCase();
-          
-          if (match.name.toLowerCase().startsWith(lowerArg)) {
-            return match.name.slice(argPart.length);
-          }
-          if (match.table.toLowerCase().startsWith(lowerArg)) {
-            return match.table.slice(argPart.length);
-          }
-        }
-      }
-      
-      // Autocomplete for update sources
-      if (sourceCommands.includes(cmdPart) && argPart.length >= 1 && window.GlassFindMatchingSources) {
-        const matches = window.GlassFindMatchingSources(argPart);
-        if (matches.length > 0) {
-          const match = matches[0];
-          const lowerArg = argPart.toLowerCase();
-          
-          if (match.name.toLowerCase().startsWith(lowerArg)) {
-            return match.name.slice(argPart.length);
-          }
-        }
+      const active = getActiveArgument();
+      if (!active || active.text.length < 1) return '';
+
+      // Ghost text follows the dropdown selection when there is one
+      const selected = dropdownItems[dropdownIndex];
+      if (selected && active.text === dropdownText) {
+        const lowerText = active.text.toLowerCase();
+        const match = [selected.name, selected.table].find(c => c.toLowerCase().startsWith(lowerText));
+        return match ? match.slice(active.text.length) : '';
       }
-      return '';
+
+      return completeArgument(active.def.autocomplete || active.def.type, active.text);
     } else {
       const filtered = filterCommands(value);
       if (filtered.length > 0 && filtered[0].name.toLowerCase() !== value.toLowerCase()) {
@@ -132,11 +265,16 @@
   }
 
   function updateAutocomplete() {
+    updateDropdown();
     const suggestion = getAutocompleteSuggestion();
     autocompleteField.value = inputField.value + suggestion;
   }
 
   function acceptAutocomplete() {
+    if (dropdownItems.length > 0 && isInArgumentMode()) {
+      return acceptDropdown();
+    }
+
     const suggestion = getAutocompleteSuggestion();
     if (suggestion) {
       inputField.value += suggestion;
@@ -173,6 +311,62 @@
     }
   }
 
+  function getHistoryKey() {
+    return `glass_history_${window.location.hostname}`;
+  }
+
+  // History is per instance and kept in local storage (sync storage is too small)
+  function loadHistory() {
+    try {
+      chrome.storage.local.get([getHistoryKey()], function(result) {
+        if (chrome.runtime.lastError) return;
+        const stored = result[getHistoryKey()];
+        if (Array.isArray(stored)) {
+          commandHistory = stored.slice(-HISTORY_LIMIT);
+          historyIndex = commandHistory.length;
+        }
+      });
+    } catch (e) {
+      // Extension context invalidated, keep in-memory history
+    }
+  }
+
+  function saveHistory() {
+    try {
+      chrome.storage.local.set({ [getHistoryKey()]: commandHistory }, function() {
+        if (chrome.runtime.lastError) {
+          // Extension context may be invalidated, silently ignore
+        }
+      });
+    } catch (e) {
+      // Extension context invalidated, silently ignore
+    }
+  }
+
+  function addToHistory(cmd) {
+    commandHistory = commandHistory.filter(entry => entry !== cmd);
+    commandHistory.push(cmd);
+    if (commandHistory.length > HISTORY_LIMIT) {
+      commandHistory = commandHistory.slice(-HISTORY_LIMIT);
+    }
+    historyIndex = commandHistory.length;
+    saveHistory();
+  }
+
+  function clearHistory() {
+    commandHistory = [];
+    historyIndex = -1;
+    try {
+      chrome.storage.local.remove(getHistoryKey(), function() {
+        if (chrome.runtime.lastError) {
+          // Extension context may be invalidated, silently ignore
+        }
+      });
+    } catch (e) {
+      // Extension context invalidated, silently ignore
+    }
+  }
+
   function loadShortcut() {
     try {
       chrome.storage.sync.get(['cliShortcut'], function(result) {
@@ -195,6 +389,7 @@
 
     container = document.createElement('div');
     container.id = 'glass-ui';
+    if (environment) container.dataset.env = environment;
 
     mainCircle = document.createElement('div');
     mainCircle.className = 'glass-main';
@@ -237,11 +432,15 @@
     
     commandCarousel.appendChild(carouselInner);
 
+    dropdown = document.createElement('div');
+    dropdown.className = 'glass-dropdown';
+
     feedbackDiv = document.createElement('div');
     feedbackDiv.className = 'glass-feedback';
 
     container.appendChild(mainCircle);
     container.appendChild(commandCarousel);
+    container.appendChild(dropdown);
     container.appendChild(feedbackDiv);
 
     loadPosition((pos) => {
@@ -335,12 +534,33 @@
 
   function setupInputEvents() {
     inputField.addEventListener('input', () => {
+      if (isSearching) {
+        searchMatchIndex = findInHistory(inputField.value, commandHistory.length - 1);
+        updateSearchDisplay();
+        return;
+      }
       selectedIndex = 0;
       updateAutocomplete();
       updateCommandCarousel();
     });
 
     inputField.addEventListener('keydown', (e) => {
+      if (e.ctrlKey && e.key.toLowerCase() === 'r') {
+        e.preventDefault();
+        e.stopPropagation();
+        isSearching ? searchOlder() : startSearch();
+        return;
+      }
+
+      if (isSearching) {
+        handleSearchKey(e);
+        return;
+      }
+
+      if (dropdownItems.length > 0 && handleDropdownKey(e)) {
+        return;
+      }
+
       switch (e.key) {
         case 'Enter':
           executeCommand();
@@ -386,6 +606,45 @@
         }
       }, 150);
     });
+
+    // Suggestions fetched in the background (e.g. users) arrive after typing
+    window.addEventListener('glass:suggestions-updated', () => {
+      if (isActive && isInArgumentMode()) {
+        updateAutocomplete();
+      }
+    });
+  }
+
+  /**
+   * Keys for the table dropdown: arrows and Tab move, Enter runs the
+   * selection, ArrowRight puts it in the input for further editing
+   * @returns {boolean} - true if the key was handled
+   */
+  function handleDropdownKey(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        moveDropdown(1);
+        return true;
+      case 'ArrowUp':
+        e.preventDefault();
+        moveDropdown(-1);
+        return true;
+      case 'Tab':
+        e.preventDefault();
+        if (dropdownItems.length === 1) {
+          acceptDropdown();
+        } else {
+          moveDropdown(e.shiftKey ? -1 : 1);
+        }
+        return true;
+      case 'ArrowRight':
+        if (inputField.selectionStart !== inputField.value.length) return false;
+        e.preventDefault();
+        acceptDropdown();
+        return true;
+    }
+    return false;
   }
 
   function setupCarouselEvents() {
@@ -400,6 +659,16 @@
         selectCurrentCommand();
       }
     });
+
+    // mousedown keeps focus in the input so the blur handler doesn't close the CLI
+    dropdown.addEventListener('mousedown', (e) => {
+      const row = e.target.closest('.glass-dropdown-item');
+      if (!row) return;
+      e.preventDefault();
+      dropdownIndex = Number(row.dataset.index);
+      acceptDropdown();
+      inputField.focus();
+    });
   }
 
   function toggleActive() {
@@ -408,6 +677,7 @@
 
   function activate() {
     isActive = true;
+    loadHistory();
     container.classList.add('active');
     feedbackDiv.style.opacity = '0';
     
@@ -423,12 +693,19 @@
 
   function deactivate() {
     isActive = false;
+    if (isSearching) {
+      isSearching = false;
+      inputField.placeholder = 'command...';
+    }
     container.classList.remove('active');
     inputField.value = '';
     autocompleteField.value = '';
     carouselInner.innerHTML = '';
     visibleCommands = [];
     selectedIndex = 0;
+    dropdownItems = [];
+    dropdownText = null;
+    renderDropdown();
   }
 
   function updateCommandCarousel() {
@@ -482,6 +759,110 @@
     updateCommandCarousel();
   }
 
+  /**
+   * Find the newest history entry at or before `from` containing `query`
+   */
+  function findInHistory(query, from) {
+    if (!query) return -1;
+    const lower = query.toLowerCase();
+    for (let i = Math.min(from, commandHistory.length - 1); i >= 0; i--) {
+      if (commandHistory[i].toLowerCase().includes(lower)) return i;
+    }
+    return -1;
+  }
+
+  function startSearch() {
+    isSearching = true;
+    inputBeforeSearch = inputField.value;
+    searchMatchIndex = -1;
+    inputField.value = '';
+    inputField.placeholder = 'reverse search...';
+    autocompleteField.value = '';
+    updateSearchDisplay();
+  }
+
+  function searchOlder() {
+    if (searchMatchIndex <= 0) return;
+    const older = findInHistory(inputField.value, searchMatchIndex - 1);
+    if (older !== -1) {
+      searchMatchIndex = older;
+      updateSearchDisplay();
+    }
+  }
+
+  /**
+   * Leave search mode, putting `value` in the input
+   */
+  function endSearch(value) {
+    isSearching = false;
+    inputField.placeholder = 'command...';
+    inputField.value = value;
+    inputField.selectionStart = inputField.selectionEnd = value.length;
+    historyIndex = commandHistory.length;
+    selectedIndex = 0;
+    updateAutocomplete();
+    updateCommandCarousel();
+  }
+
+  function handleSearchKey(e) {
+    const match = searchMatchIndex !== -1 ? commandHistory[searchMatchIndex] : null;
+
+    switch (e.key) {
+      case 'Enter':
+        e.preventDefault();
+        if (match) {
+          endSearch(match);
+          executeCommand();
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        endSearch(inputBeforeSearch);
+        break;
+      case 'Tab':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown':
+        e.preventDefault();
+        endSearch(match || inputField.value);
+        break;
+    }
+  }
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function updateSearchDisplay() {
+    commandCarousel.classList.remove('hidden');
+
+    const query = inputField.value;
+    if (!query) {
+      carouselInner.innerHTML = '<span class="glass-carousel-empty">type to search history</span>';
+      return;
+    }
+    if (searchMatchIndex === -1) {
+      carouselInner.innerHTML = '<span class="glass-carousel-empty">no matches</span>';
+      return;
+    }
+
+    const match = commandHistory[searchMatchIndex];
+    const start = match.toLowerCase().indexOf(query.toLowerCase());
+    const highlighted = escapeHtml(match.slice(0, start)) +
+      `<mark>${escapeHtml(match.slice(start, start + query.length))}</mark>` +
+      escapeHtml(match.slice(start + query.length));
+
+    carouselInner.innerHTML = `
+      <span class="glass-carousel-cmd glass-search-match">${highlighted}</span>
+      <span class="glass-carousel-count">ctrl+r</span>
+    `;
+  }
+
   function navigateHistory(dir) {
     if (commandHistory.length === 0) return;
     
@@ -500,15 +881,16 @@
   }
 
   function executeCommand() {
-    if (getAutocompleteSuggestion()) {
+    if (dropdownItems.length > 0 && isInArgumentMode()) {
+      acceptDropdown();
+    } else if (getAutocompleteSuggestion()) {
       acceptAutocomplete();
     }
     
     const cmd = inputField.value.trim();
     if (!cmd) return;
     
-    commandHistory.push(cmd);
-    historyIndex = commandHistory.length;
+    addToHistory(cmd);
     
     if (onExecuteCallback) {
       onExecuteCallback(cmd);
@@ -516,9 +898,315 @@
     
     inputField.value = '';
     autocompleteField.value = '';
+    dropdownItems = [];
+    dropdownText = null;
+    renderDropdown();
     updateCommandCarousel();
   }
 
+  /**
+   * Open the multi-line editor panel
+   * @param {Object} options - Editor options
+   * @param {string} options.title - Panel title
+   * @param {string} options.value - Initial text
+   * @param {string} options.scope - Initial scope (null hides the scope field)
+   * @param {Array<{script: string, scope: string}>} options.recent - Entries for the recall menu
+   * @returns {Promise<{script: string, scope: string}|null>} - null when cancelled
+   */
+  function openEditor(options = {}) {
+    const { title = 'Script', value = '', scope = 'global', recent = [] } = options;
+
+    closeEditor(null);
+    deactivate();
+
+    editorPanel = document.createElement('div');
+    editorPanel.className = 'glass-editor-backdrop';
+    editorPanel.innerHTML = `
+      <div class="glass-editor">
+        <div class="glass-editor-header">
+          <span class="glass-editor-title">${escapeHtml(title)}</span>
+          ${recent.length > 0 ? `
+            <select class="glass-editor-recent">
+              <option value="">Recent (${recent.length})</option>
+              ${recent.map((entry, i) => `<option value="${i}">${escapeHtml(entry.script.split('\n')[0].slice(0, 60))}</option>`).join('')}
+            </select>` : ''}
+        </div>
+        <textarea class="glass-editor-input" spellcheck="false"></textarea>
+        <div class="glass-editor-footer">
+          ${scope !== null ? '<label class="glass-editor-scope">Scope <input type="text"></label>' : ''}
+          <span class="glass-editor-hint">Ctrl+Enter to run · Esc to cancel</span>
+          <button class="glass-editor-cancel" type="button">Cancel</button>
+          <button class="glass-editor-run" type="button">Run</button>
+        </div>
+      </div>
+    `;
+
+    const textarea = editorPanel.querySelector('.glass-editor-input');
+    const scopeInput = editorPanel.querySelector('.glass-editor-scope input');
+    const recentSelect = editorPanel.querySelector('.glass-editor-recent');
+    textarea.value = value;
+    if (scopeInput) scopeInput.value = scope;
+
+    const submit = () => {
+      if (!textarea.value.trim()) return;
+      closeEditor({ script: textarea.value, scope: scopeInput ? scopeInput.value.trim() : '' });
+    };
+
+    editorPanel.addEventListener('keydown', (e) => {
+      // Keep the page's own shortcuts out of the editor
+      e.stopPropagation();
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeEditor(null);
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        submit();
+      } else if (e.key === 'Tab' && e.target === textarea) {
+        e.preventDefault();
+        const start = textarea.selectionStart;
+        textarea.setRangeText('  ', start, textarea.selectionEnd, 'end');
+      }
+    });
+
+    if (recentSelect) {
+      recentSelect.addEventListener('change', () => {
+        const entry = recent[Number(recentSelect.value)];
+        if (!entry) return;
+        textarea.value = entry.script;
+        if (scopeInput && entry.scope) scopeInput.value = entry.scope;
+        textarea.focus();
+      });
+    }
+
+    editorPanel.querySelector('.glass-editor-run').addEventListener('click', submit);
+    editorPanel.querySelector('.glass-editor-cancel').addEventListener('click', () => closeEditor(null));
+    editorPanel.addEventListener('mousedown', (e) => {
+      if (e.target === editorPanel) closeEditor(null);
+    });
+
+    document.body.appendChild(editorPanel);
+    textarea.focus();
+
+    return new Promise(resolve => {
+      editorResolve = resolve;
+    });
+  }
+
+  /**
+   * Ask for confirmation before a command changes data
+   * Shares the editor's panel slot, so only one of them is open at a time.
+   * @param {Object} options - Confirmation options
+   * @param {string} options.title - Panel title
+   * @param {Array<string>} options.lines - Summary of what will happen
+   * @param {string} options.confirmLabel - Label of the confirm button
+   * @param {string} options.requireText - Text the user must type to enable confirm (optional)
+   * @returns {Promise<boolean>} - true when confirmed
+   */
+  function openConfirm(options = {}) {
+    const { title = 'Are you sure?', lines = [], confirmLabel = 'Confirm', requireText = '' } = options;
+
+    closeEditor(null);
+    deactivate();
+
+    editorPanel = document.createElement('div');
+    editorPanel.className = 'glass-editor-backdrop';
+    editorPanel.innerHTML = `
+      <div class="glass-editor glass-confirm">
+        <div class="glass-editor-header">
+          <span class="glass-editor-title">${escapeHtml(title)}</span>
+        </div>
+        <ul class="glass-confirm-lines">
+          ${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+        </ul>
+        ${requireText ? `
+          <label class="glass-confirm-require">
+            Type <code>${escapeHtml(requireText)}</code> to confirm
+            <input type="text" spellcheck="false" autocomplete="off">
+          </label>` : ''}
+        <div class="glass-editor-footer">
+          <span class="glass-editor-hint">Enter to confirm · Esc to cancel</span>
+          <button class="glass-editor-cancel" type="button">Cancel</button>
+          <button class="glass-editor-run glass-confirm-danger" type="button">${escapeHtml(confirmLabel)}</button>
+        </div>
+      </div>
+    `;
+
+    const input = editorPanel.querySelector('.glass-confirm-require input');
+    const confirmButton = editorPanel.querySelector('.glass-editor-run');
+    const ready = () => !input || input.value.trim() === requireText;
+
+    const syncButton = () => {
+      confirmButton.disabled = !ready();
+    };
+    const submit = () => {
+      if (ready()) closeEditor(true);
+    };
+
+    editorPanel.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeEditor(null);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        submit();
+      }
+    });
+    if (input) input.addEventListener('input', syncButton);
+
+    confirmButton.addEventListener('click', submit);
+    editorPanel.querySelector('.glass-editor-cancel').addEventListener('click', () => closeEditor(null));
+    editorPanel.addEventListener('mousedown', (e) => {
+      if (e.target === editorPanel) closeEditor(null);
+    });
+
+    syncButton();
+    document.body.appendChild(editorPanel);
+    (input || confirmButton).focus();
+
+    return new Promise(resolve => {
+      editorResolve = result => resolve(result === true);
+    });
+  }
+
+  /**
+   * Show a results page inline, below the command line, instead of a new tab
+   * Arrow keys select a row or card, Enter opens its record here (Ctrl+Enter
+   * in a new tab), / jumps to the filter and Pop out opens the full page.
+   * @param {string} html - Complete results page built by GlassResultsPage.buildPage
+   */
+  function openResults(html) {
+    closeResults();
+    deactivate();
+
+    const page = new DOMParser().parseFromString(html, 'text/html');
+    const styles = Array.from(page.querySelectorAll('style')).map(style => style.textContent).join('\n');
+    page.querySelectorAll('script:not([type="application/json"])').forEach(script => script.remove());
+
+    resultsPanel = document.createElement('div');
+    resultsPanel.className = 'glass-editor-backdrop';
+    resultsPanel.innerHTML = `
+      <div class="glass-editor glass-results" tabindex="-1">
+        <div class="glass-editor-header">
+          <span class="glass-editor-title">${escapeHtml(page.title)}</span>
+          <span class="glass-results-actions">
+            <button class="glass-results-expand" type="button">Expand</button>
+            <button class="glass-results-popout" type="button">Pop out</button>
+            <button class="glass-results-close" type="button">Close</button>
+          </span>
+        </div>
+        <div class="glass-results-view"></div>
+        <div class="glass-editor-footer">
+          <span class="glass-editor-hint">↑/↓ select · Enter open · Ctrl+Enter new tab · / filter · Esc close</span>
+        </div>
+      </div>
+    `;
+
+    const panel = resultsPanel.querySelector('.glass-results');
+    const expandButton = resultsPanel.querySelector('.glass-results-expand');
+    const view = resultsPanel.querySelector('.glass-results-view');
+    const shadow = view.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `<style>${styles}${INLINE_RESULTS_STYLES}</style>${page.body.innerHTML}`;
+    if (window.GlassResultsPage) {
+      window.GlassResultsPage.initPage(shadow);
+    }
+
+    let selected = -1;
+    const items = () => Array.from(shadow.querySelectorAll(RESULT_ITEMS));
+
+    const highlight = (scroll) => {
+      const list = items();
+      selected = Math.min(selected, list.length - 1);
+      list.forEach((item, i) => item.classList.toggle('glass-selected', i === selected));
+      if (scroll && list[selected]) list[selected].scrollIntoView({ block: 'nearest' });
+    };
+
+    const openSelected = (newTab) => {
+      const item = items()[selected];
+      const link = item && item.querySelector('a[href]');
+      if (!link || !/^https?:\/\//i.test(link.href)) return;
+      if (newTab) {
+        window.open(link.href, '_blank', 'noopener');
+      } else {
+        closeResults();
+        window.location.href = link.href;
+      }
+    };
+
+    resultsPanel.addEventListener('keydown', (e) => {
+      // Keep the page's own shortcuts out of the panel
+      e.stopPropagation();
+
+      const focused = shadow.activeElement;
+      const typing = focused && /^(INPUT|SELECT)$/.test(focused.tagName);
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeResults();
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const count = items().length;
+        if (count === 0) return;
+        selected = e.key === 'ArrowDown' ? Math.min(selected + 1, count - 1) : Math.max(selected - 1, 0);
+        highlight(true);
+      } else if (e.key === 'Enter' && !(focused && focused.tagName === 'SELECT')) {
+        e.preventDefault();
+        openSelected(e.ctrlKey || e.metaKey);
+      } else if (e.key === '/' && !typing) {
+        const filter = shadow.querySelector('.glass-table-filter');
+        if (filter) {
+          e.preventDefault();
+          filter.focus();
+        }
+      }
+    });
+
+    // Filtering, sorting and paging re-render the rows
+    shadow.addEventListener('input', () => {
+      selected = -1;
+      highlight(false);
+    });
+    shadow.addEventListener('click', () => setTimeout(() => highlight(false), 0));
+
+    expandButton.addEventListener('click', () => {
+      const expanded = panel.classList.toggle('glass-results-expanded');
+      expandButton.textContent = expanded ? 'Shrink' : 'Expand';
+    });
+    resultsPanel.querySelector('.glass-results-popout').addEventListener('click', () => {
+      closeResults();
+      window.GlassResultsPage.openPage(html, { tab: true, history: false });
+    });
+    resultsPanel.querySelector('.glass-results-close').addEventListener('click', closeResults);
+    resultsPanel.addEventListener('mousedown', (e) => {
+      if (e.target === resultsPanel) closeResults();
+    });
+
+    document.body.appendChild(resultsPanel);
+    const filter = shadow.querySelector('.glass-table-filter');
+    (filter || panel).focus();
+  }
+
+  function closeResults() {
+    if (resultsPanel) {
+      resultsPanel.remove();
+      resultsPanel = null;
+    }
+  }
+
+  function closeEditor(result) {
+    if (editorPanel) {
+      editorPanel.remove();
+      editorPanel = null;
+    }
+    if (editorResolve) {
+      const resolve = editorResolve;
+      editorResolve = null;
+      resolve(result);
+    }
+  }
+
   function showFeedback(message, type = 'info', autoHide = 0) {
     feedbackDiv.textContent = message;
     feedbackDiv.className = 'glass-feedback ' + type;
@@ -630,6 +1318,21 @@
         transition: all 0.25s cubic-bezier(0.4, 0, 0.2, 1);
       }
 
+      /* Production instances get a red sphere */
+      #glass-ui[data-env="prod"] .glass-main {
+        background:
+          radial-gradient(ellipse 60% 40% at 50% 15%, rgba(255, 255, 255, 0.7) 0%, transparent 50%),
+          radial-gradient(ellipse 80% 50% at 50% 95%, rgba(0, 0, 0, 0.1) 0%, transparent 50%),
+          radial-gradient(ellipse 100% 100% at 50% 50%, rgba(229, 57, 53, 0.35) 0%, rgba(229, 57, 53, 0.25) 40%, rgba(183, 28, 28, 0.2) 100%);
+        border-color: rgba(229, 57, 53, 0.7);
+      }
+
+      #glass-ui.active[data-env="prod"] .glass-main {
+        background:
+          linear-gradient(180deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.1) 20%, transparent 50%),
+          linear-gradient(180deg, rgba(229, 57, 53, 0.2) 0%, rgba(183, 28, 28, 0.15) 100%);
+      }
+
       #glass-ui.dragging .glass-main {
         cursor: grabbing;
         transform: scale(1.05);
@@ -790,6 +1493,19 @@
         font-family: 'SF Mono', Monaco, Consolas, monospace;
       }
 
+      .glass-search-match {
+        max-width: 260px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .glass-search-match mark {
+        background: rgba(255, 213, 79, 0.6);
+        color: inherit;
+        border-radius: 2px;
+      }
+
       .glass-carousel-count {
         font-size: 10px;
         color: ${GLASS_TEXT_DIM};
@@ -802,6 +1518,252 @@
         font-style: italic;
       }
 
+      /* Multi-line editor */
+      .glass-editor-backdrop {
+        position: fixed;
+        inset: 0;
+        z-index: 2147483647;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.25);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+
+      .glass-editor {
+        width: min(760px, 90vw);
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        padding: 14px;
+        background: rgba(255, 255, 255, 0.9);
+        border: 1px solid ${GLASS_BORDER};
+        border-radius: 18px;
+        box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+        backdrop-filter: blur(20px);
+        -webkit-backdrop-filter: blur(20px);
+      }
+
+      .glass-editor-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 10px;
+      }
+
+      .glass-editor-title {
+        font-size: 14px;
+        font-weight: 600;
+        color: ${GLASS_TEXT};
+      }
+
+      .glass-editor-recent {
+        max-width: 60%;
+        font-size: 12px;
+        padding: 3px 6px;
+        border-radius: 8px;
+        border: 1px solid rgba(0, 0, 0, 0.15);
+        background: white;
+      }
+
+      .glass-editor-input {
+        height: 320px;
+        resize: vertical;
+        padding: 10px 12px;
+        border: 1px solid rgba(0, 0, 0, 0.15);
+        border-radius: 10px;
+        font-family: 'SF Mono', Monaco, Consolas, monospace;
+        font-size: 13px;
+        line-height: 1.5;
+        color: #111;
+        background: white;
+        outline: none;
+        tab-size: 2;
+      }
+
+      .glass-editor-footer {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 12px;
+        color: ${GLASS_TEXT};
+      }
+
+      .glass-editor-scope input {
+        width: 160px;
+        margin-left: 4px;
+        padding: 3px 8px;
+        border: 1px solid rgba(0, 0, 0, 0.15);
+        border-radius: 8px;
+        font-family: 'SF Mono', Monaco, Consolas, monospace;
+        font-size: 12px;
+      }
+
+      .glass-editor-hint {
+        flex: 1;
+        color: ${GLASS_TEXT_DIM};
+        text-align: right;
+      }
+
+      .glass-editor-footer button {
+        padding: 5px 14px;
+        border-radius: 14px;
+        border: 1px solid rgba(0, 0, 0, 0.15);
+        background: white;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .glass-editor-footer .glass-editor-run {
+        background: ${GLASS_ACCENT};
+        color: white;
+        border-color: ${GLASS_ACCENT};
+      }
+
+      /* Confirmation panel */
+      .glass-confirm {
+        width: min(520px, 90vw);
+      }
+
+      .glass-confirm-lines {
+        margin: 0;
+        padding-left: 18px;
+        font-size: 13px;
+        line-height: 1.6;
+        color: ${GLASS_TEXT};
+      }
+
+      .glass-confirm-require {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        font-size: 12px;
+        color: ${GLASS_TEXT};
+      }
+
+      .glass-confirm-require input {
+        padding: 6px 10px;
+        border: 1px solid rgba(0, 0, 0, 0.15);
+        border-radius: 8px;
+        font-family: 'SF Mono', Monaco, Consolas, monospace;
+        font-size: 13px;
+        outline: none;
+      }
+
+      .glass-editor-footer .glass-confirm-danger {
+        background: #d93025;
+        border-color: #d93025;
+      }
+
+      .glass-editor-footer button:disabled {
+        opacity: 0.4;
+        cursor: not-allowed;
+      }
+
+      /* Inline results panel */
+      .glass-results {
+        width: min(900px, 92vw);
+        outline: none;
+      }
+
+      .glass-results.glass-results-expanded {
+        width: 96vw;
+      }
+
+      .glass-results-actions {
+        display: flex;
+        gap: 6px;
+      }
+
+      .glass-results-actions button {
+        padding: 4px 12px;
+        border-radius: 14px;
+        border: 1px solid rgba(0, 0, 0, 0.15);
+        background: white;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .glass-results-view {
+        max-height: 60vh;
+        overflow: auto;
+        border-radius: 12px;
+        background: linear-gradient(135deg, #0f1419 0%, #0a0e12 50%, #06080a 100%);
+      }
+
+      .glass-results-expanded .glass-results-view {
+        max-height: 82vh;
+      }
+
+      /* Table suggestion dropdown */
+      .glass-dropdown {
+        position: absolute;
+        top: ${CIRCLE_SIZE + 8}px;
+        left: 0;
+        width: ${CIRCLE_WIDTH_ACTIVE}px;
+        padding: 4px;
+        background: rgba(255, 255, 255, 0.85);
+        border: 1px solid ${GLASS_BORDER};
+        border-radius: 14px;
+        box-shadow: 0 10px 30px ${GLASS_SHADOW};
+        backdrop-filter: blur(16px);
+        -webkit-backdrop-filter: blur(16px);
+        opacity: 0;
+        pointer-events: none;
+        transform: translateY(-4px);
+        transition: opacity 0.15s, transform 0.15s;
+        z-index: 20;
+      }
+
+      .glass-dropdown.visible {
+        opacity: 1;
+        pointer-events: auto;
+        transform: translateY(0);
+      }
+
+      .glass-dropdown-item {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 5px 10px;
+        border-radius: 10px;
+        cursor: pointer;
+        font-size: 12px;
+        color: ${GLASS_TEXT};
+      }
+
+      .glass-dropdown-item.selected {
+        background: rgba(0, 0, 0, 0.08);
+      }
+
+      .glass-dropdown-name {
+        font-family: 'SF Mono', Monaco, Consolas, monospace;
+        font-weight: 600;
+        white-space: nowrap;
+      }
+
+      .glass-dropdown-label {
+        flex: 1;
+        color: ${GLASS_TEXT_DIM};
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .glass-dropdown-scope {
+        font-size: 10px;
+        padding: 1px 6px;
+        border-radius: 8px;
+        color: ${GLASS_TEXT_DIM};
+        background: rgba(0, 0, 0, 0.05);
+        white-space: nowrap;
+      }
+
+      .glass-dropdown-scope.scoped {
+        color: #1565c0;
+        background: rgba(21, 101, 192, 0.1);
+      }
+
       .glass-feedback {
         position: absolute;
         top: calc(100% + ${CAROUSEL_HEIGHT + 18}px);
@@ -835,8 +1797,23 @@
     document.head.appendChild(style);
   }
 
+  /**
+   * Colour the icon for the instance's environment
+   * @param {string|null} env - 'dev', 'test', 'prod' or null
+   */
+  function setEnvironment(env) {
+    environment = env || null;
+    if (!container) return;
+    if (environment) {
+      container.dataset.env = environment;
+    } else {
+      delete container.dataset.env;
+    }
+  }
+
   function init() {
     loadShortcut();
+    loadHistory();
 
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', createUI);
@@ -864,7 +1841,13 @@
       toggle: toggleActive,
       isActive: () => isActive,
       setOnExecute: (cb) => { onExecuteCallback = cb; },
-      showFeedback
+      showFeedback,
+      clearHistory,
+      openEditor,
+      openConfirm,
+      openResults,
+      closeResults,
+      setEnvironment
     };
   }
 
@@ -3,8 +3,55 @@
  * 
  * Provides a clean interface for making authenticated API calls.
  * Uses postMessage to communicate with the api-bridge.js running in page context.
+ * Calls for another instance are relayed to a tab open on it (GlassRelay).
+ *
+ * Requests are retried with exponential backoff on 429 and transient 5xx
+ * responses (honouring Retry-After), and at most `concurrency` run at once
+ * per instance. The registry hands each command an API scoped with
+ * forCommand(), so every request carries the command that caused it and
+ * failures can be reported per command (getFailures()).
+ *
+ * batch() sends many requests through the Batch API (/api/now/v1/batch)
+ * in a few round trips, falling back to one request each where the
+ * instance does not offer it.
+ *
+ * tableGet() returns one page; tableIterate() and tableGetAll() follow the
+ * Link headers (or offsets) to the last record, and tableCount() asks the
+ * Aggregate API, so nothing has to guess a limit that is "big enough".
  */
 
+// Responses that mean the request was refused before it was processed
+const REFUSED_STATUSES = [429, 503];
+// Responses worth retrying when repeating the request is harmless
+const TRANSIENT_STATUSES = [0, 502, 504];
+const FAILURE_LOG_SIZE = 100;
+const BATCH_ENDPOINT = '/api/now/v1/batch';
+const BATCH_CHUNK_SIZE = 25;
+const TABLE_PAGE_SIZE = 1000;
+// Bridge requests another tab may relay here; only GETs of them are served
+const RELAYED_TYPES = ['glassApiRequest', 'snEzApiRequest', 'snEzCurrentUserRequest'];
+
+/**
+ * Base64-encode UTF-8 text (Batch API request bodies)
+ * @param {string} text
+ * @returns {string}
+ */
+function toBase64(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 UTF-8 text (Batch API response bodies)
+ * @param {string} encoded
+ * @returns {string}
+ */
+function fromBase64(encoded) {
+  const binary = atob(encoded);
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+}
+
 class ServiceNowAPI {
   constructor() {
     this.messageHandlers = new Map();
@@ -13,8 +60,92 @@ class ServiceNowAPI {
     this.bridgeReady = false;
     this.bridgeReadyPromise = null;
 
+    // Retry and rate limit settings, changed from the popup (apiSettings)
+    this.settings = {
+      retries: 4,
+      baseDelay: 500,
+      maxDelay: 30000,
+      concurrency: 4
+    };
+    this.slots = new Map();
+    this.failures = [];
+    // Instances that answered the Batch API with 403/404
+    this.batchUnavailable = new Set();
+
     // Set up global message listener
     window.addEventListener('message', this._handleMessage.bind(this));
+
+    chrome.storage.sync.get(['apiSettings'], (result) => {
+      this.configure(result.apiSettings || {});
+    });
+    chrome.storage.onChanged.addListener((changes) => {
+      if (changes.apiSettings) {
+        this.configure(changes.apiSettings.newValue || {});
+      }
+    });
+
+    // Serve read requests other tabs relay to this instance
+    if (window.GlassRelay) {
+      window.GlassRelay.handle('api', ({ type, data, timeout }) => {
+        if (!RELAYED_TYPES.includes(type) || String(data.method || 'GET').toUpperCase() !== 'GET') {
+          throw new Error('Only read requests can be run on another instance.');
+        }
+        return this._sendMessage(type, data, timeout);
+      });
+    }
+  }
+
+  /**
+   * Change retry and rate limit settings
+   * @param {Object} options - { retries, baseDelay, maxDelay, concurrency, timeout }
+   */
+  configure(options = {}) {
+    const limits = {
+      retries: [0, 10],
+      baseDelay: [0, 60000],
+      maxDelay: [0, 300000],
+      concurrency: [1, 20]
+    };
+    for (const [key, [min, max]] of Object.entries(limits)) {
+      const value = Number(options[key]);
+      if (options[key] !== undefined && Number.isFinite(value)) {
+        this.settings[key] = Math.min(max, Math.max(min, Math.round(value)));
+      }
+    }
+    if (Number(options.timeout) > 0) {
+      this.timeout = Number(options.timeout);
+    }
+  }
+
+  /**
+   * An API whose requests are tagged with the command that makes them
+   * @param {string} command - Command name
+   * @returns {ServiceNowAPI}
+   */
+  forCommand(command) {
+    const base = this;
+    const scoped = Object.create(this);
+    scoped._command = command;
+    // The innermost tag wins, so an alias reports the command it ran
+    scoped._sendMessage = (type, data, timeout) => base._sendMessage(type, { command, ...data }, timeout);
+    return scoped;
+  }
+
+  /**
+   * Requests that failed after their retries, newest first
+   * @param {string} [command] - Only the failures of this command
+   * @returns {Array<Object>} - { command, type, method, url, status, error, attempts, at }
+   */
+  getFailures(command) {
+    const failures = this.failures.slice().reverse();
+    return command ? failures.filter(f => f.command === command) : failures;
+  }
+
+  /**
+   * Forget the recorded failures
+   */
+  clearFailures() {
+    this.failures.length = 0;
   }
 
   /**
@@ -111,12 +242,170 @@ class ServiceNowAPI {
 
   /**
    * Send a message to the api-bridge and wait for response
+   * Retries refused and transient failures with backoff; the response of
+   * the last attempt is returned (or its timeout thrown).
+   * @param {string} type - Message type
+   * @param {Object} data - Message data (`command` tags the request)
+   * @param {number} timeout - Timeout in ms, per attempt
+   * @returns {Promise<Object>}
+   */
+  async _sendMessage(type, data, timeout = this.timeout) {
+    // Requests for another instance run in a tab signed in to it, which retries them
+    const targetUrl = data.instanceUrl || data.url;
+    if (window.GlassRelay && window.GlassRelay.isRemote(targetUrl)) {
+      const { retries, maxDelay } = this.settings;
+      const response = await window.GlassRelay.send(targetUrl, 'api', { type, data, timeout }, timeout * (retries + 1) + maxDelay * retries);
+      if (response.error || response.success === false) {
+        this._recordFailure(type, data, response, response.attempts || 1);
+      }
+      return response;
+    }
+
+    const host = targetUrl ? new URL(targetUrl).hostname : window.location.hostname;
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      const release = await this._acquireSlot(host);
+      try {
+        response = await this._postToBridge(type, { ...data, timeout }, timeout);
+      } catch (error) {
+        response = { error: error.message, timedOut: true };
+      } finally {
+        release();
+      }
+
+      const failed = !!response.error || response.success === false;
+      if (!failed || attempt > this.settings.retries || !this._isRetryable(response, data.method)) {
+        if (failed) {
+          response.attempts = attempt;
+          this._recordFailure(type, data, response, attempt);
+          if (attempt > 1 && response.error) {
+            response.error = `${response.error} (after ${attempt} attempts)`;
+          }
+          if (response.timedOut) {
+            throw new Error(response.error);
+          }
+        }
+        return response;
+      }
+
+      const delay = this._retryDelay(attempt, response.retryAfter);
+      if (response.status === 429) {
+        // Rate limited: hold back every request to this instance, not just this one
+        const slot = this._slotFor(host);
+        slot.pausedUntil = Math.max(slot.pausedUntil, Date.now() + delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Whether a failed request should be sent again
+   * Requests the server refused are always safe to repeat; after timeouts
+   * and gateway errors only non-POST requests are, since a POST may have
+   * created its record already.
+   * @param {Object} response - Failed response
+   * @param {string} [method] - HTTP method
+   * @returns {boolean}
+   */
+  _isRetryable(response, method = 'GET') {
+    if (REFUSED_STATUSES.includes(response.status)) {
+      return true;
+    }
+    const transient = response.timedOut || TRANSIENT_STATUSES.includes(response.status);
+    return transient && String(method).toUpperCase() !== 'POST';
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {string} [retryAfter] - Retry-After header (seconds or HTTP date)
+   * @returns {number} - Milliseconds
+   */
+  _retryDelay(attempt, retryAfter) {
+    const { baseDelay, maxDelay } = this.settings;
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (Number.isFinite(delay)) {
+        return Math.min(maxDelay, Math.max(0, delay));
+      }
+    }
+
+    // Exponential backoff with jitter, so parallel requests do not retry in step
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Concurrency state of an instance
+   * @param {string} host - Instance hostname
+   * @returns {{active: number, queue: Array<Function>, pausedUntil: number}}
+   */
+  _slotFor(host) {
+    if (!this.slots.has(host)) {
+      this.slots.set(host, { active: 0, queue: [], pausedUntil: 0 });
+    }
+    return this.slots.get(host);
+  }
+
+  /**
+   * Wait for a free request slot on an instance
+   * @param {string} host - Instance hostname
+   * @returns {Promise<Function>} - Call to release the slot
+   */
+  async _acquireSlot(host) {
+    const slot = this._slotFor(host);
+
+    for (;;) {
+      const paused = slot.pausedUntil - Date.now();
+      if (paused > 0) {
+        await new Promise(resolve => setTimeout(resolve, paused));
+      } else if (slot.active < this.settings.concurrency) {
+        slot.active++;
+        return () => {
+          slot.active--;
+          const next = slot.queue.shift();
+          if (next) next();
+        };
+      } else {
+        await new Promise(resolve => slot.queue.push(resolve));
+      }
+    }
+  }
+
+  /**
+   * Remember a request that failed for good
+   * @param {string} type - Message type
+   * @param {Object} data - Message data
+   * @param {Object} response - Last response
+   * @param {number} attempts - Attempts made
+   */
+  _recordFailure(type, data, response, attempts) {
+    this.failures.push({
+      command: data.command || null,
+      type,
+      method: data.method || 'GET',
+      url: data.url || data.instanceUrl || '',
+      status: response.status,
+      error: response.error || 'Request failed',
+      attempts,
+      at: Date.now()
+    });
+    if (this.failures.length > FAILURE_LOG_SIZE) {
+      this.failures.shift();
+    }
+  }
+
+  /**
+   * Post one request to the api-bridge and wait for its response
    * @param {string} type - Message type
    * @param {Object} data - Message data
    * @param {number} timeout - Timeout in ms
    * @returns {Promise<Object>}
    */
-  async _sendMessage(type, data, timeout = this.timeout) {
+  async _postToBridge(type, data, timeout) {
     await this.ensureBridgeReady();
 
     const messageId = this._generateMessageId();
@@ -146,18 +435,140 @@ class ServiceNowAPI {
 
   /**
    * Make a GET request to Table API
+   * Returns a single page; use tableGetAll() or tableIterate() for every record.
    * @param {string} instanceUrl - instance URL
    * @param {string} table - Table name
    * @param {Object} options - Query options
+   * @param {string} options.query - Encoded query
+   * @param {Array<string>} options.fields - Fields to return
+   * @param {number} options.limit - Records per page (default 100)
+   * @param {number} options.offset - Records to skip
+   * @param {boolean|string} options.displayValue - true, false or 'all'
+   * @param {boolean} options.excludeReferenceLink - Return reference fields without their link
+   * @param {string} options.view - UI view whose fields are returned
    * @returns {Promise<Array>}
    */
   async tableGet(instanceUrl, table, options = {}) {
+    const page = await this._tablePage(instanceUrl, this._tableUrl(instanceUrl, table, options));
+    return page.records;
+  }
+
+  /**
+   * Iterate over every record a Table API query matches
+   * Pages are fetched one at a time as the loop asks for more, following
+   * the response's Link rel="next" header, or offsets when there is none.
+   * Queries without an ORDERBY are ordered by sys_id so pages do not overlap.
+   *
+   *   for await (const record of api.tableIterate(instanceUrl, 'incident', { query })) { ... }
+   *
+   * @param {string} instanceUrl - instance URL
+   * @param {string} table - Table name
+   * @param {Object} options - tableGet() options, plus:
+   * @param {number} options.pageSize - Records per request (default 1000)
+   * @param {number} options.max - Stop after this many records
+   * @param {Function} options.onPage - Called with { records, fetched, total } after each page
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *tableIterate(instanceUrl, table, options = {}) {
+    const { pageSize = TABLE_PAGE_SIZE, max = Infinity, onPage = null } = options;
+    let query = options.query || '';
+    if (!/ORDERBY/.test(query)) {
+      query = query ? `${query}^ORDERBYsys_id` : 'ORDERBYsys_id';
+    }
+
+    let url = this._tableUrl(instanceUrl, table, { ...options, query, limit: pageSize, offset: options.offset || 0 });
+    let offset = options.offset || 0;
+    let fetched = 0;
+    let yielded = 0;
+
+    while (url) {
+      const page = await this._tablePage(instanceUrl, url);
+      fetched += page.records.length;
+      if (onPage) {
+        onPage({ records: page.records, fetched, total: page.total });
+      }
+
+      for (const record of page.records) {
+        if (yielded >= max) return;
+        yielded++;
+        yield record;
+      }
+      if (yielded >= max) return;
+
+      if (page.next && page.records.length > 0) {
+        url = page.next;
+      } else if (page.linked || page.records.length < pageSize) {
+        // The Link header had no next page, or a short page ended the results
+        url = null;
+      } else {
+        offset += page.records.length;
+        url = this._tableUrl(instanceUrl, table, { ...options, query, limit: pageSize, offset });
+      }
+    }
+  }
+
+  /**
+   * Get every record a Table API query matches
+   * @param {string} instanceUrl - instance URL
+   * @param {string} table - Table name
+   * @param {Object} options - tableIterate() options
+   * @returns {Promise<Array>}
+   */
+  async tableGetAll(instanceUrl, table, options = {}) {
+    const records = [];
+    for await (const record of this.tableIterate(instanceUrl, table, options)) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Count records with the Aggregate API (/api/now/stats)
+   * @param {string} instanceUrl - instance URL
+   * @param {string} table - Table name
+   * @param {Object} options - { query, groupBy }
+   * @returns {Promise<number|Array<{value: string, display: string, count: number}>>}
+   *   The count, or one count per value of the groupBy field
+   */
+  async tableCount(instanceUrl, table, options = {}) {
+    const { query = '', groupBy = '' } = options;
+
+    const params = new URLSearchParams();
+    params.append('sysparm_count', 'true');
+    if (query) params.append('sysparm_query', query);
+    if (groupBy) params.append('sysparm_group_by', groupBy);
+
+    const result = await this.request(instanceUrl, `/api/now/stats/${table}?${params.toString()}`);
+
+    if (!groupBy) {
+      return parseInt(result && result.stats ? result.stats.count : 0, 10) || 0;
+    }
+    return (Array.isArray(result) ? result : []).map(group => {
+      const field = (group.groupby_fields || [])[0] || {};
+      return {
+        value: field.value || '',
+        display: field.display_value || field.value || '',
+        count: parseInt(group.stats ? group.stats.count : 0, 10) || 0
+      };
+    });
+  }
+
+  /**
+   * Build a Table API URL
+   * @param {string} instanceUrl - instance URL
+   * @param {string} table - Table name
+   * @param {Object} options - tableGet() options
+   * @returns {string}
+   */
+  _tableUrl(instanceUrl, table, options) {
     const {
       query = '',
       fields = [],
       limit = 100,
       offset = 0,
-      displayValue = false
+      displayValue = false,
+      excludeReferenceLink = false,
+      view = ''
     } = options;
 
     const params = new URLSearchParams();
@@ -166,11 +577,23 @@ class ServiceNowAPI {
     params.append('sysparm_limit', limit);
     params.append('sysparm_offset', offset);
     params.append('sysparm_display_value', displayValue);
+    if (excludeReferenceLink) params.append('sysparm_exclude_reference_link', 'true');
+    if (view) params.append('sysparm_view', view);
 
-    const fullUrl = `${instanceUrl}/api/now/table/${table}?${params.toString()}`;
+    return `${instanceUrl}/api/now/table/${table}?${params.toString()}`;
+  }
+
+  /**
+   * Fetch one Table API page
+   * @param {string} instanceUrl - instance URL
+   * @param {string} url - Full page URL
+   * @returns {Promise<{records: Array, next: string|null, linked: boolean, total: number|null}>}
+   *   linked is true when the response had a Link header
+   */
+  async _tablePage(instanceUrl, url) {
     const response = await this._sendMessage('glassApiRequest', {
       method: 'GET',
-      url: fullUrl,
+      url,
       instanceUrl
     });
 
@@ -178,7 +601,14 @@ class ServiceNowAPI {
       throw new Error(response.error);
     }
 
-    return response.result || [];
+    const next = response.link ? response.link.match(/<([^>]+)>;\s*rel="next"/) : null;
+    const total = parseInt(response.totalCount, 10);
+    return {
+      records: response.result || [],
+      next: next ? next[1] : null,
+      linked: !!response.link,
+      total: Number.isFinite(total) ? total : null
+    };
   }
 
   /**
@@ -207,7 +637,9 @@ class ServiceNowAPI {
    * @returns {Promise<boolean>}
    */
   async impersonate(instanceUrl, username) {
+    // Changes the session, so a timed-out attempt is not sent again
     const response = await this._sendMessage('snEzImpersonateRequest', {
+      method: 'POST',
       username,
       instanceUrl
     });
@@ -227,6 +659,7 @@ class ServiceNowAPI {
    */
   async endImpersonate(instanceUrl) {
     const response = await this._sendMessage('snEzEndImpersonateRequest', {
+      method: 'POST',
       instanceUrl
     });
 
@@ -277,11 +710,173 @@ class ServiceNowAPI {
     });
 
     if (response.error) {
-      throw new Error(response.error);
+      const error = new Error(response.error);
+      error.status = response.status;
+      throw error;
     }
 
     return response.result;
   }
+
+  /**
+   * Run many REST requests in few round trips through the Batch API
+   * Requests go out in chunks of `chunkSize`. Sub-requests the platform
+   * did not get to, or refused with 429/503, are sent again in another
+   * round (up to the retry setting). Instances without the Batch API get
+   * the requests one by one. A failed sub-request never fails the others.
+   * @param {string} instanceUrl - instance URL
+   * @param {Array<Object>} requests - { method, endpoint, body, headers } each,
+   *   with endpoint relative to the instance (e.g. /api/now/table/incident/<sys_id>)
+   * @param {Object} options - { chunkSize, onResult }; onResult(index, result) is
+   *   awaited as each request settles, so callers can journal writes chunk by chunk
+   * @returns {Promise<Array<{ok: boolean, status: number, result: any, error: string}>>}
+   *   One entry per request, in the order given
+   */
+  async batch(instanceUrl, requests, options = {}) {
+    const { chunkSize = BATCH_CHUNK_SIZE, onResult = null } = options;
+    const host = new URL(instanceUrl).hostname;
+    const results = new Array(requests.length);
+    let pending = requests.map((request, index) => index);
+
+    // Single requests record their own failures; sub-requests are recorded here
+    const settle = async (index, result, attempts, recorded = false) => {
+      results[index] = result;
+      if (onResult) {
+        await onResult(index, result);
+      }
+      if (!result.ok && !recorded) {
+        const request = requests[index];
+        this._recordFailure('batch', {
+          command: this._command,
+          method: request.method,
+          url: `${instanceUrl}${request.endpoint}`
+        }, result, attempts);
+      }
+    };
+
+    for (let round = 1; pending.length > 0; round++) {
+      if (round > this.settings.retries + 1) {
+        for (const index of pending) {
+          await settle(index, { ok: false, status: 0, error: 'Not serviced by the Batch API' }, round - 1);
+        }
+        break;
+      }
+
+      const retry = [];
+      for (let start = 0; start < pending.length; start += chunkSize) {
+        const chunk = pending.slice(start, start + chunkSize);
+
+        if (this.batchUnavailable.has(host)) {
+          for (const index of chunk) {
+            await settle(index, await this._sendSingle(instanceUrl, requests[index]), 1, true);
+          }
+          continue;
+        }
+
+        let response;
+        try {
+          response = await this.request(instanceUrl, BATCH_ENDPOINT, {
+            method: 'POST',
+            body: {
+              batch_request_id: this._generateMessageId(),
+              rest_requests: chunk.map(index => this._batchRequest(index, requests[index]))
+            }
+          });
+        } catch (error) {
+          // A 400 only means this payload was rejected, not that batching is unavailable
+          if (![403, 404].includes(error.status)) {
+            throw error;
+          }
+          // No Batch API here (or no access to it): go through this chunk again, one by one
+          this.batchUnavailable.add(host);
+          start -= chunkSize;
+          continue;
+        }
+
+        const serviced = new Map((response.serviced_requests || []).map(item => [String(item.id), item]));
+        for (const index of chunk) {
+          const item = serviced.get(String(index));
+          const result = item ? this._batchResult(item) : null;
+          if (!result || REFUSED_STATUSES.includes(result.status)) {
+            retry.push(index);
+          } else {
+            await settle(index, result, round);
+          }
+        }
+      }
+
+      if (retry.length > 0 && round <= this.settings.retries) {
+        await new Promise(resolve => setTimeout(resolve, this._retryDelay(round)));
+      }
+      pending = retry;
+    }
+
+    return results;
+  }
+
+  /**
+   * Build one rest_requests entry of a Batch API call
+   * @param {number} index - Position of the request, used as its id
+   * @param {Object} request - { method, endpoint, body, headers }
+   * @returns {Object}
+   */
+  _batchRequest(index, request) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...(request.headers || {})
+    };
+    const entry = {
+      id: String(index),
+      method: (request.method || 'GET').toUpperCase(),
+      url: request.endpoint,
+      headers: Object.entries(headers).map(([name, value]) => ({ name, value }))
+    };
+    if (request.body) {
+      entry.body = toBase64(JSON.stringify(request.body));
+    }
+    return entry;
+  }
+
+  /**
+   * Turn a serviced_requests entry into a batch() result
+   * @param {Object} item - { id, status_code, status_text, body }
+   * @returns {{ok: boolean, status: number, result: any, error: string}}
+   */
+  _batchResult(item) {
+    const status = Number(item.status_code);
+    let body = {};
+    try {
+      body = item.body ? JSON.parse(fromBase64(item.body)) : {};
+    } catch (e) {
+      // Not JSON (e.g. an empty DELETE response); the status says enough
+    }
+
+    if (status >= 200 && status < 300) {
+      return { ok: true, status, result: body.result !== undefined ? body.result : body };
+    }
+    const message = body.error && body.error.message ? `: ${body.error.message}` : '';
+    return { ok: false, status, error: `API call failed: ${status} ${item.status_text || ''}`.trim() + message };
+  }
+
+  /**
+   * Send one batch() request on its own
+   * @param {string} instanceUrl - instance URL
+   * @param {Object} request - { method, endpoint, body, headers }
+   * @returns {Promise<{ok: boolean, status: number, result: any, error: string}>}
+   */
+  async _sendSingle(instanceUrl, request) {
+    try {
+      const result = await this.request(instanceUrl, request.endpoint, {
+        method: request.method,
+        body: request.body || null,
+        headers: request.headers || {}
+      });
+      return { ok: true, status: 200, result };
+    } catch (error) {
+      return { ok: false, status: error.status, error: error.message };
+    }
+  }
 }
 
 // Export singleton instance
@@ -17,6 +17,15 @@
   const pendingRequests = new Map();
   const DEFAULT_TIMEOUT = 30000; // 30 seconds for background scripts
 
+  // Fixed scripts of read-only commands that other tabs may run here, by name
+  const relayableScripts = new Map();
+
+  // Lines sys.scripts.do adds around the script's own output
+  const SCRIPT_STATUS_LINES = [
+    /^\[[\d:.]+\] Script completed/,
+    /^Script execution history and recovery available/
+  ];
+
   // Listen for responses from api-bridge
   window.addEventListener('message', function(event) {
     const { type, messageId } = event.data;
@@ -63,16 +72,29 @@
    * 
    * @param {string} script - The GlideRecord/server-side script to execute
    * @param {object} options - Optional configuration
-   * @param {string} options.instanceUrl - the platform instance URL (defaults to current origin)
+   * @param {string} options.instanceUrl - the platform instance URL (defaults to current origin;
+   *   another instance's scripts run in a tab open on it)
    * @param {string} options.scope - Application scope sys_id (optional)
    * @param {number} options.timeout - Timeout in ms (default: 30000)
+   * @param {Object} options.relay - { name, params } of the relayable() script this is,
+   *   required to run it on another instance
    * @returns {Promise<string>} - The HTML response from the background script page
    */
   async function execute(script, options = {}) {
-    await ensureBridgeReady();
-
     const scope = options.scope || '';
     const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    // Scripts for another instance run in a tab signed in to it, which
+    // rebuilds them from name and parameters rather than taking script text
+    if (window.GlassRelay && window.GlassRelay.isRemote(options.instanceUrl)) {
+      if (!options.relay || !relayableScripts.has(options.relay.name)) {
+        throw new Error('This script cannot run on another instance.');
+      }
+      const { name, params = [] } = options.relay;
+      return window.GlassRelay.send(options.instanceUrl, 'backgroundScript', { name, params, timeout }, timeout);
+    }
+
+    await ensureBridgeReady();
     const messageId = generateMessageId();
 
     return new Promise((resolve, reject) => {
@@ -97,6 +119,38 @@
     });
   }
 
+  /**
+   * Encode a value as a JavaScript literal for a generated server script
+   * Strings become double-quoted string literals and objects/arrays JSON
+   * literals, so user input can never close the literal and inject code.
+   * @param {any} value - Value to encode
+   * @returns {string} - JavaScript source for the value
+   */
+  function scriptLiteral(value) {
+    const json = JSON.stringify(value === undefined ? null : value);
+    // Line/paragraph separators are valid in JSON but end lines in older JS engines
+    return json.replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+  }
+
+  /**
+   * Tagged template for generated server scripts
+   * Every interpolated value is passed through scriptLiteral(), so it
+   * reaches the server as data (write `var USER = ${user};`, not
+   * `"${user}"`).
+   *
+   *   script`var gr = new GlideRecord(${table}); gr.get(${sysId});`
+   *
+   * @param {Array<string>} strings - Template strings
+   * @param {...any} values - Interpolated values
+   * @returns {string} - Script source
+   */
+  function script(strings, ...values) {
+    return strings.reduce((source, str, i) => {
+      if (i === values.length) return source + str;
+      return source + str + scriptLiteral(values[i]);
+    }, '');
+  }
+
   /**
    * Decode HTML entities in a string
    * @param {string} text - Text with HTML entities
@@ -126,6 +180,28 @@
     return cleaned;
   }
 
+  /**
+   * Extract the printed output of a background script
+   * Keeps only the <PRE> block of the sys.scripts.do page, drops the
+   * platform's own status lines and strips the "*** Script: " prefix from
+   * gs.print/gs.info lines.
+   * @param {string} html - Raw HTML response from execute()
+   * @returns {Array<string>} - Output lines
+   */
+  function extractScriptOutput(html) {
+    if (!html) return [];
+
+    const pre = html.match(/<PRE>([\s\S]*?)<\/PRE>/i);
+    const body = (pre ? pre[1] : html)
+      .replace(/<BR\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '');
+
+    return decodeHtmlEntities(body)
+      .split('\n')
+      .filter(line => line.trim() && !SCRIPT_STATUS_LINES.some(pattern => pattern.test(line)))
+      .map(line => line.startsWith('*** Script: ') ? line.substring('*** Script: '.length) : line);
+  }
+
   /**
    * Parse lines from background script output
    * Handles "*** Script: " prefixes and extracts JSON objects
@@ -229,6 +305,28 @@
       });
   }
 
+  /**
+   * Register a fixed script of a read-only command that may run on another instance
+   * Tabs relay only the name and parameters, so another tab can never make
+   * this one run script text of its own.
+   * @param {string} name - Script name, passed as options.relay.name
+   * @param {function} build - (...params) => script source, built with script``
+   */
+  function relayable(name, build) {
+    relayableScripts.set(name, build);
+  }
+
+  // Run the relayable scripts other tabs ask for on this instance
+  if (window.GlassRelay) {
+    window.GlassRelay.handle('backgroundScript', ({ name, params, timeout }) => {
+      const build = relayableScripts.get(name);
+      if (!build) {
+        throw new Error(`Unknown script: ${name}`);
+      }
+      return execute(build(...(Array.isArray(params) ? params : [])), { timeout });
+    });
+  }
+
   // Expose the API globally
   window.GlassBackgroundScript = {
     execute,
@@ -236,7 +334,11 @@
     executeAndParse,
     executeWithCallback,
     cleanHtmlOutput,
-    parseScriptLines
+    parseScriptLines,
+    extractScriptOutput,
+    scriptLiteral,
+    script,
+    relayable
   };
 
 })();
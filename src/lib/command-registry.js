@@ -5,15 +5,67 @@
  * - name: Primary command name
  * - aliases: Alternative names (e.g., 'imp' for 'impersonate')
  * - description: Short description for help
- * - usage: Usage string with arguments
+ * - usage: Usage string with arguments (generated from `args` when omitted)
  * - execute(args, context): Async function to run the command
- * - validate(args): Optional validation function
+ * - validate(args, flags): Optional validation function, run after the schema checks
+ * - readOnly: true for commands that only read (they may run against @instance targets)
+ * - mutating: true (or a function of args and flags) for commands that change
+ *   data; on production they run only after the instance name is typed
+ * - args: Optional positional argument schema, in order:
+ *     [{ name: 'table', type: 'table', required: true, rest: true, example: 'incident' }]
+ *   Types are 'string' (default), 'table', 'user', 'sys_id', 'number' and
+ *   'enum' (with `values`). `rest: true` on the last argument swallows the
+ *   remaining words. `args: []` declares a command that takes no arguments.
+ *   Table and user arguments are autocompleted in the CLI; set `autocomplete`
+ *   to override the kind of completion (e.g. 'source').
+ * - flags: Optional flag definitions, keyed by camelCase name:
+ *     { perField: { type: 'number', alias: ['perfield'], default: 250, min: 1 } }
+ *   Types are 'boolean' (default, 'flag' is accepted as a synonym), 'string',
+ *   'number', 'sys_id' and 'enum'.
+ *
+ * Any command run with `--help` opens its help page instead of executing;
+ * every other flag must be declared by the command.
+ * Commands with `rawArgs: true` skip flag parsing and receive every word
+ * after their name as a positional argument (used by user aliases).
+ * Commands with `keepVariables: true` store command lines for later and
+ * receive `$name` unexpanded, like rawArgs commands.
+ *
+ * Command lines are tokenized shell-style: single and double quotes group
+ * words, backslash escapes the next character, and `--flag value` /
+ * `--flag=value` are collected into a flags object. Commands receive the
+ * positional arguments as `args` and the flags as `context.flags`.
+ *
+ * Pipelines: an unquoted `|` feeds one command's records into the next,
+ * e.g. `online | impersonate`. Commands opt in with:
+ * - produces: true - execute() returns an array of records when
+ *   `context.piped` is set, instead of rendering its own output
+ * - consumes: true - execute() reads the upstream records from
+ *   `context.input` (validate receives them as its third argument)
+ *
+ * A record is { table, sys_id, display, fields }, where `fields` holds any
+ * extra column values the producer knows about (e.g. user_name).
+ *
+ * Instance targets: `@prod list incident` runs the line against the
+ * instance profile named prod (configured in the popup). Its API calls and
+ * background scripts go through a tab open on that instance, and only
+ * commands declared `readOnly: true` may be targeted. Commands see the
+ * target as `context.target` ({ name, url }) and get its URL from
+ * `context.context.getInstanceUrl()`.
+ *
+ * Variables: `$name` or `${name}` outside single quotes is replaced with the
+ * value of a variable registered through registerVariable() (e.g. `$table`
+ * from the page being viewed) before the line is split into stages. Names
+ * that are not registered, like an alias's `$1` and `$@`, are left as typed,
+ * and `\$table` or '$table' keeps the text literal. Variables registered
+ * with `followsTarget: true` (e.g. `$me`) resolve on the `@name` target;
+ * the others describe this tab's page.
  */
 
 class CommandRegistry {
   constructor() {
     this.commands = new Map();
     this.aliases = new Map();
+    this.variables = new Map();
   }
 
   /**
@@ -25,6 +77,10 @@ class CommandRegistry {
       throw new Error('Command must have a name and execute function');
     }
 
+    if (Array.isArray(command.args) && !command.usage) {
+      command.usage = this.formatUsage(command);
+    }
+
     // Store the command
     this.commands.set(command.name.toLowerCase(), command);
 
@@ -36,6 +92,26 @@ class CommandRegistry {
     }
   }
 
+  /**
+   * Remove a command and its aliases
+   * @param {string} name - Command name
+   * @returns {boolean} - true if a command was removed
+   */
+  unregister(name) {
+    const normalizedName = name.toLowerCase();
+    if (!this.commands.has(normalizedName)) {
+      return false;
+    }
+
+    this.commands.delete(normalizedName);
+    Array.from(this.aliases.entries()).forEach(([alias, target]) => {
+      if (target === normalizedName) {
+        this.aliases.delete(alias);
+      }
+    });
+    return true;
+  }
+
   /**
    * Get a command by name or alias
    * @param {string} name - Command name or alias
@@ -59,32 +135,619 @@ class CommandRegistry {
   }
 
   /**
-   * Execute a command
+   * Register a command line variable
+   * @param {Object} variable - { name, description, example, unavailable, followsTarget, resolve(context) }
+   *   resolve receives the execution context and returns the value, or null
+   *   when it does not apply here (`unavailable` then says why).
+   *   followsTarget resolves it with the `@name` target's context.
+   */
+  registerVariable(variable) {
+    if (!variable || !variable.name || typeof variable.resolve !== 'function') {
+      throw new Error('Variable must have a name and resolve function');
+    }
+    this.variables.set(variable.name.toLowerCase(), variable);
+  }
+
+  /**
+   * Get all registered variables
+   * @returns {Array<Object>} - Variable definitions
+   */
+  getVariables() {
+    return Array.from(this.variables.values());
+  }
+
+  /**
+   * Resolve the registered variables a command line mentions
+   * A variable that fails to resolve maps to null, so the error is only
+   * raised if the line actually substitutes it (not inside single quotes).
+   * @param {string} commandLine - Raw command line
+   * @param {Object} context - Execution context of this tab
+   * @param {Object} targetContext - Execution context of the `@name` target (default: this tab's)
+   * @returns {Promise<Object>} - name -> value or null
+   */
+  async resolveVariables(commandLine, context, targetContext = context) {
+    const names = new Set();
+    const pattern = /\$\{?([a-z_][a-z0-9_]*)/gi;
+    let match;
+    while ((match = pattern.exec(commandLine)) !== null) {
+      const name = match[1].toLowerCase();
+      if (this.variables.has(name)) names.add(name);
+    }
+
+    const values = {};
+    await Promise.all(Array.from(names).map(async name => {
+      try {
+        const variable = this.variables.get(name);
+        const value = await variable.resolve(variable.followsTarget ? targetContext : context);
+        values[name] = value === undefined || value === null || value === '' ? null : String(value);
+      } catch (e) {
+        values[name] = null;
+      }
+    }));
+    return values;
+  }
+
+  /**
+   * Read a `$name` or `${name}` reference at a position in a command line
+   * @param {string} commandLine - Raw command line
+   * @param {number} index - Index of the `$`
+   * @param {Object|null} variables - Resolved values (name -> value or null)
+   * @returns {{value: string, length: number}|null} - Substitution, or null to keep the text
+   */
+  _readVariable(commandLine, index, variables) {
+    if (!variables) return null;
+
+    const match = commandLine.slice(index).match(/^\$(?:\{([a-z_][a-z0-9_]*)\}|([a-z_][a-z0-9_]*))/i);
+    if (!match) return null;
+
+    const name = (match[1] || match[2]).toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) return null;
+
+    if (variables[name] === null) {
+      const def = this.variables.get(name);
+      const reason = def && def.unavailable ? ` ${def.unavailable}` : '';
+      throw new Error(`$${name} is not available here.${reason}`);
+    }
+    return { value: variables[name], length: match[0].length };
+  }
+
+  /**
+   * Split a command line into tokens
+   * Supports single quotes (literal), double quotes (\\ \" and \$ escapes)
+   * and backslash escapes outside quotes.
+   * @param {string} commandLine - Raw command line
+   * @param {Object|null} variables - Resolved variables to substitute (optional)
+   * An unquoted `|` becomes its own token with `pipe: true`.
+   * @returns {Array<{value: string, quoted: boolean, pipe?: boolean}>} - Tokens in order
+   */
+  tokenize(commandLine, variables = null) {
+    const tokens = [];
+    let value = '';
+    let quoted = false;
+    let inToken = false;
+    let quote = null;
+
+    for (let i = 0; i < commandLine.length; i++) {
+      const ch = commandLine[i];
+
+      if (quote === "'") {
+        if (ch === "'") {
+          quote = null;
+        } else {
+          value += ch;
+        }
+        continue;
+      }
+
+      if (quote === '"') {
+        if (ch === '"') {
+          quote = null;
+        } else if (ch === '\\' && /["\\$]/.test(commandLine[i + 1] || '')) {
+          value += commandLine[++i];
+        } else {
+          const variable = ch === '$' ? this._readVariable(commandLine, i, variables) : null;
+          if (variable) {
+            value += variable.value;
+            i += variable.length - 1;
+          } else {
+            value += ch;
+          }
+        }
+        continue;
+      }
+
+      if (/\s/.test(ch)) {
+        if (inToken) {
+          tokens.push({ value, quoted });
+          value = '';
+          quoted = false;
+          inToken = false;
+        }
+        continue;
+      }
+
+      if (ch === '|') {
+        if (inToken) {
+          tokens.push({ value, quoted });
+          value = '';
+          quoted = false;
+          inToken = false;
+        }
+        tokens.push({ value: '|', quoted: false, pipe: true });
+        continue;
+      }
+
+      inToken = true;
+
+      if (ch === '"' || ch === "'") {
+        quote = ch;
+        quoted = true;
+      } else if (ch === '\\' && i + 1 < commandLine.length) {
+        value += commandLine[++i];
+      } else {
+        const variable = ch === '$' ? this._readVariable(commandLine, i, variables) : null;
+        if (variable) {
+          value += variable.value;
+          i += variable.length - 1;
+        } else {
+          value += ch;
+        }
+      }
+    }
+
+    if (quote) {
+      throw new Error(`Unterminated ${quote === '"' ? 'double' : 'single'} quote in command line`);
+    }
+
+    if (inToken) {
+      tokens.push({ value, quoted });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Separate positional arguments from --flags
+   * Quoted tokens are always positional, and `--` ends flag parsing.
+   * @param {Array<{value: string, quoted: boolean}>} tokens - Tokens after the command name
+   * @param {Object} flagDefs - Flag definitions from the command (optional)
+   * @returns {{args: Array<string>, flags: Object}}
+   */
+  parseArguments(tokens, flagDefs = {}) {
+    const args = [];
+    const flags = {};
+    const lookup = this._buildFlagLookup(flagDefs);
+    let flagsEnded = false;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const { value, quoted } = tokens[i];
+
+      if (flagsEnded || quoted || !value.startsWith('--')) {
+        args.push(value);
+        continue;
+      }
+
+      if (value === '--') {
+        flagsEnded = true;
+        continue;
+      }
+
+      const eqIdx = value.indexOf('=');
+      const rawName = eqIdx === -1 ? value.slice(2) : value.slice(2, eqIdx);
+      const inlineValue = eqIdx === -1 ? null : value.slice(eqIdx + 1);
+      const key = lookup[rawName.toLowerCase()] || toCamelCase(rawName);
+      const def = flagDefs[key] || {};
+      const type = def.type || (inlineValue !== null ? 'string' : 'boolean');
+
+      if (type === 'boolean' || type === 'flag') {
+        flags[key] = inlineValue === null || !/^(false|no|off|0)$/i.test(inlineValue);
+        continue;
+      }
+
+      let raw = inlineValue;
+      if (raw === null) {
+        const next = tokens[i + 1];
+        if (!next || (!next.quoted && next.value.startsWith('--'))) {
+          throw new Error(`Flag --${rawName} expects a value`);
+        }
+        raw = next.value;
+        i++;
+      }
+
+      if (type === 'number') {
+        const num = Number(raw);
+        if (raw === '' || !Number.isFinite(num)) {
+          throw new Error(`Flag --${rawName} expects a number, got "${raw}"`);
+        }
+        flags[key] = num;
+      } else {
+        flags[key] = raw;
+      }
+    }
+
+    // Apply defaults for flags that were not given
+    Object.keys(flagDefs).forEach(key => {
+      if (flags[key] === undefined && flagDefs[key].default !== undefined) {
+        flags[key] = flagDefs[key].default;
+      }
+    });
+
+    return { args, flags };
+  }
+
+  /**
+   * Map every accepted spelling of a flag to its canonical key
+   * @param {Object} flagDefs - Flag definitions
+   * @returns {Object} - lowercase spelling -> key
+   */
+  _buildFlagLookup(flagDefs) {
+    const lookup = {};
+    Object.keys(flagDefs || {}).forEach(key => {
+      lookup[key.toLowerCase()] = key;
+      lookup[toKebabCase(key)] = key;
+      (flagDefs[key].alias || []).forEach(alias => {
+        lookup[alias.toLowerCase()] = key;
+      });
+    });
+    return lookup;
+  }
+
+  /**
+   * Parse one pipeline stage (command name followed by its arguments)
+   * @param {Array<{value: string, quoted: boolean}>} tokens - Tokens of the stage
+   * @returns {{name: string, command: Object|null, args: Array<string>, flags: Object}}
+   */
+  _parseStage(tokens) {
+    const name = tokens[0].value;
+    const command = this.get(name);
+
+    // Commands that forward their arguments elsewhere get them untouched
+    if (command && command.rawArgs) {
+      return { name, command, args: tokens.slice(1).map(t => t.value), flags: {} };
+    }
+
+    const { args, flags } = this.parseArguments(tokens.slice(1), command ? command.flags : {});
+
+    return { name, command, args, flags };
+  }
+
+  /**
+   * Parse a full command line into its pipeline stages
+   * @param {string} commandLine - Full command line string
+   * @param {Object|null} variables - Resolved variables to substitute (optional)
+   * @returns {Array<{name: string, command: Object|null, args: Array<string>, flags: Object}>}
+   */
+  parse(commandLine, variables = null) {
+    const tokens = this.tokenize(commandLine, variables);
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const stages = [];
+    let current = [];
+
+    tokens.forEach(token => {
+      if (!token.pipe) {
+        current.push(token);
+        return;
+      }
+      if (current.length === 0) {
+        throw new Error('Empty command in pipeline');
+      }
+      stages.push(current);
+      current = [];
+    });
+
+    if (current.length === 0) {
+      throw new Error('Empty command in pipeline');
+    }
+    stages.push(current);
+
+    return stages.map(stageTokens => this._parseStage(stageTokens));
+  }
+
+  /**
+   * Execute a command line (a single command or a pipeline)
    * @param {string} commandLine - Full command line string
    * @param {Object} context - Execution context (instanceUrl, ui, api, etc.)
    * @returns {Promise<void>}
    */
   async execute(commandLine, context) {
-    const parts = commandLine.trim().split(/\s+/);
-    const commandName = parts[0];
-    const args = parts.slice(1);
+    // Commands see the line the user ran (not the lines an alias expands to)
+    if (!context.aliasDepth) {
+      context = { ...context, commandLine };
+    }
 
-    const command = this.get(commandName);
+    // `@name <command line>` runs the line against another instance
+    const targetMatch = commandLine.match(/^\s*@([a-z][\w-]*)(?:\s+([\s\S]*))?$/i);
+    if (targetMatch) {
+      if (!targetMatch[2] || !targetMatch[2].trim()) {
+        throw new Error(`Give a command to run on @${targetMatch[1]}, e.g. @${targetMatch[1]} list incident`);
+      }
+      commandLine = targetMatch[2];
+    }
 
-    if (!command) {
-      throw new Error(`Unknown command: ${commandName}. Type 'help' for available commands.`);
+    const targetContext = targetMatch ? await this._targetContext(targetMatch[1], context) : context;
+
+    // Lines that define aliases keep their variables to expand when the alias runs
+    const keepsVariables = this.parse(commandLine)
+      .some(stage => stage.command && (stage.command.rawArgs || stage.command.keepVariables));
+    const variables = keepsVariables ? null : await this.resolveVariables(commandLine, context, targetContext);
+    const stages = this.parse(commandLine, variables);
+    if (stages.length === 0) {
+      return;
     }
+    context = targetContext;
+
+    // Check every stage before running anything
+    stages.forEach((stage, index) => {
+      const { name, command } = stage;
 
-    // Validate arguments if validator exists
-    if (command.validate) {
-      const validationResult = command.validate(args);
-      if (validationResult !== true) {
-        throw new Error(validationResult || `Invalid arguments for ${command.name}`);
+      if (!command) {
+        const suggestion = this.suggest(name);
+        const hint = suggestion ? ` Did you mean \`${suggestion}\`?` : '';
+        throw new Error(`Unknown command: ${name}.${hint} Type 'help' for available commands.`);
+      }
+      if (index < stages.length - 1 && !command.produces) {
+        throw new Error(`${command.name} does not produce records and cannot be piped.`);
       }
+      if (index > 0 && !command.consumes) {
+        throw new Error(`${command.name} does not accept piped records.`);
+      }
+      if (context.target && !command.readOnly) {
+        throw new Error(`${command.name} can change data, so it cannot target @${context.target.name}. Run it from a tab on ${context.target.url}.`);
+      }
+    });
+
+    // `<command> --help` shows the command's help page instead of running it
+    const helpStage = stages.find(stage => stage.flags.help && !(stage.command.flags && stage.command.flags.help));
+    const helpCommand = this.get('help');
+    if (helpStage && helpCommand) {
+      await helpCommand.execute([helpStage.command.name], { ...context, flags: {}, input: null, piped: false });
+      return;
     }
 
-    // Execute the command
-    await command.execute(args, context);
+    let input = null;
+
+    for (let i = 0; i < stages.length; i++) {
+      const { command, args, flags } = stages[i];
+      const piped = i < stages.length - 1;
+
+      // Check declared argument and flag types
+      const schemaResult = this.validateSchema(command, args, flags, input);
+      if (schemaResult !== true) {
+        throw new Error(schemaResult);
+      }
+
+      // Validate arguments if validator exists
+      if (command.validate) {
+        const validationResult = command.validate(args, flags, input);
+        if (validationResult !== true) {
+          throw new Error(validationResult || `Invalid arguments for ${command.name}`);
+        }
+      }
+
+      if (!(await this._confirmProduction(command, args, flags, context))) {
+        context.ui.showInfo(`${command.name} cancelled.`);
+        return;
+      }
+
+      // Execute the command, tagging its API requests with its name
+      const api = context.api && context.api.forCommand ? context.api.forCommand(command.name) : context.api;
+      const output = await command.execute(args, { ...context, api, flags, input, piped });
+
+      if (piped) {
+        // A producer that returns nothing has already reported its own error
+        if (!Array.isArray(output)) {
+          return;
+        }
+        if (output.length === 0) {
+          throw new Error(`${command.name} returned no records to pipe into ${stages[i + 1].command.name}.`);
+        }
+        input = output;
+      }
+    }
+  }
+
+  /**
+   * Ask for the instance name before a mutating command runs on production
+   * @param {Object} command - Command about to run
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   * @param {Object} context - Execution context
+   * @returns {Promise<boolean>} - false when the user cancelled
+   */
+  async _confirmProduction(command, args, flags, context) {
+    const environment = window.GlassEnvironment;
+    if (!environment || !environment.isMutating(command, args, flags)) {
+      return true;
+    }
+
+    const instance = await environment.detect();
+    if (!instance || instance.env !== 'prod') {
+      return true;
+    }
+
+    const reasons = {
+      settings: 'tagged prod in the Glass popup',
+      property: 'classified as prod from its instance properties',
+      hostname: 'classified as prod from its hostname',
+      default: 'treated as prod because its name does not look like dev or test'
+    };
+    const lines = [
+      `${instance.name} is ${reasons[instance.source]}`,
+      `${command.name} changes data on this instance`
+    ];
+    if (command.flags && command.flags.dryRun) {
+      lines.push('Run it with --dry-run first to preview the changes');
+    }
+
+    const confirmed = await context.ui.confirm({
+      title: `Run ${command.name} on production?`,
+      lines,
+      confirmLabel: 'Run on prod',
+      requireText: instance.name
+    });
+    context.ui.show();
+    return confirmed;
+  }
+
+  /**
+   * Build the execution context for an `@name` instance target
+   * @param {string} name - Profile name
+   * @param {Object} context - Execution context of this tab
+   * @returns {Promise<Object>} - Context whose instance is the profile's
+   */
+  async _targetContext(name, context) {
+    const profile = await context.context.getProfile(name);
+    if (!profile) {
+      const profiles = await context.context.getProfiles();
+      const known = profiles.length > 0 ? ` Known instances: ${profiles.map(p => '@' + p.name).join(', ')}.` : '';
+      throw new Error(`Unknown instance @${name}. Add it under Instances in the Glass popup.${known}`);
+    }
+
+    return {
+      ...context,
+      context: context.context.forInstance(profile.url),
+      target: profile
+    };
+  }
+
+  /**
+   * Check positional arguments and flags against a command's declared schema
+   * Missing arguments are allowed when the command consumes piped records.
+   * @param {Object} command - Command definition
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   * @param {Array<Object>|null} input - Piped records, if any
+   * @returns {true|string} - true if valid, error message if invalid
+   */
+  validateSchema(command, args, flags, input) {
+    const usage = `Usage: ${command.usage || this.formatUsage(command)}`;
+    const defs = command.args;
+    const flagDefs = command.flags || {};
+
+    // Checked first, since an unknown `--flag value` also leaves a stray argument
+    for (const key of Object.keys(flags)) {
+      if (flagDefs[key] || key === 'help') continue;
+
+      const suggestion = this.suggestFlag(command, toKebabCase(key));
+      const hint = suggestion ? ` Did you mean \`${suggestion}\`?` : '';
+      return `Unknown flag --${toKebabCase(key)} for ${command.name}.${hint}\n${usage}`;
+    }
+
+
+    if (Array.isArray(defs)) {
+      const restDef = defs.length > 0 && defs[defs.length - 1].rest ? defs[defs.length - 1] : null;
+
+      if (!restDef && args.length > defs.length) {
+        return defs.length === 0
+          ? `${command.name} takes no arguments.\n${usage}`
+          : `Too many arguments for ${command.name}.\n${usage}`;
+      }
+
+      for (let i = 0; i < defs.length; i++) {
+        const def = defs[i];
+        const value = def.rest ? args.slice(i).join(' ') : args[i];
+
+        if (value === undefined || value === '') {
+          if (def.required && !(input && command.consumes)) {
+            return `Missing <${def.name}>.\n${usage}`;
+          }
+          continue;
+        }
+
+        const error = checkValue(def, value, `<${def.name}>`);
+        if (error) {
+          return `${error}\n${usage}`;
+        }
+      }
+    }
+
+    for (const key of Object.keys(flagDefs)) {
+      if (flags[key] === undefined || typeof flags[key] === 'boolean') continue;
+
+      const error = checkValue(flagDefs[key], flags[key], `--${toKebabCase(key)}`);
+      if (error) {
+        return `${error}\n${usage}`;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Build a usage string from a command's argument and flag schema
+   * @param {Object} command - Command definition
+   * @returns {string} - e.g. "acl <user> <table> [record] [--field <value>]"
+   */
+  formatUsage(command) {
+    const parts = [command.name];
+
+    (command.args || []).forEach(def => {
+      let label = def.type === 'enum' && def.values ? def.values.join('|') : def.name;
+      if (def.rest) label += '...';
+      parts.push(def.required ? `<${label}>` : `[${label}]`);
+    });
+
+    Object.keys(command.flags || {}).forEach(key => {
+      const def = command.flags[key];
+      const name = `--${toKebabCase(key)}`;
+      const type = def.type || 'boolean';
+
+      if (def.hidden) return;
+      if (type === 'boolean' || type === 'flag') {
+        parts.push(`[${name}]`);
+      } else if (type === 'number') {
+        parts.push(`[${name} N]`);
+      } else if (type === 'enum' && def.values) {
+        parts.push(`[${name} ${def.values.join('|')}]`);
+      } else {
+        parts.push(`[${name} <${type === 'sys_id' ? 'sys_id' : 'value'}>]`);
+      }
+    });
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Build an example invocation from the `example` values in a command's schema
+   * @param {Object} command - Command definition
+   * @returns {string|null} - Example command line, or null without a schema
+   */
+  formatExample(command) {
+    if (!Array.isArray(command.args)) {
+      return null;
+    }
+
+    const values = [];
+    for (const def of command.args) {
+      const example = def.example || (def.type === 'enum' && def.values ? def.values[0] : null);
+      if (!example) break;
+      values.push(/\s/.test(example) && !def.rest ? `"${example}"` : example);
+    }
+
+    return [command.name, ...values].join(' ');
+  }
+
+  /**
+   * Group piped records by table, dropping records without a sys_id
+   * @param {Array<Object>} records - Records from an upstream command
+   * @returns {Map<string, Array<string>>} - table name -> unique sys_ids
+   */
+  groupRecordsByTable(records) {
+    const groups = new Map();
+    (records || []).forEach(record => {
+      if (!record || !record.table || !record.sys_id) return;
+      if (!groups.has(record.table)) {
+        groups.set(record.table, []);
+      }
+      const ids = groups.get(record.table);
+      if (!ids.includes(record.sys_id)) {
+        ids.push(record.sys_id);
+      }
+    });
+    return groups;
   }
 
   /**
@@ -106,16 +769,112 @@ class CommandRegistry {
   }
 
   /**
-   * Find commands matching a prefix (for auto-suggestion)
-   * @param {string} prefix - Prefix to match
-   * @returns {Array<string>} - Matching command names
+   * Find commands matching typed input (for auto-suggestion)
+   * Ranked by GlassFuzzy when loaded, otherwise prefix matches only.
+   * @param {string} prefix - Typed input
+   * @returns {Array<string>} - Matching command names and aliases, best first
    */
   findMatching(prefix) {
+    const names = this.getCommandNames();
+    if (window.GlassFuzzy) {
+      return window.GlassFuzzy.rank(prefix, names);
+    }
+
     const normalizedPrefix = prefix.toLowerCase();
-    return this.getCommandNames().filter(name => 
+    return names.filter(name => 
       name.startsWith(normalizedPrefix)
     );
   }
+
+  /**
+   * Suggest the command the user probably meant
+   * @param {string} name - Unknown command name
+   * @returns {string|null} - Closest command name, or null if nothing is close
+   */
+  suggest(name) {
+    if (!window.GlassFuzzy) {
+      return null;
+    }
+
+    const match = window.GlassFuzzy.closest(name, this.getCommandNames());
+    const command = match ? this.get(match) : null;
+    return command ? command.name : null;
+  }
+
+  /**
+   * Suggest the flag the user probably meant
+   * @param {Object} command - Command the flag was given to
+   * @param {string} name - Unknown flag name, without the leading --
+   * @returns {string|null} - Closest declared flag (e.g. "--dry-run"), or null
+   */
+  suggestFlag(command, name) {
+    const names = Object.keys(command.flags || {}).map(toKebabCase);
+    if (!window.GlassFuzzy || names.length === 0) {
+      return null;
+    }
+
+    const match = window.GlassFuzzy.closest(name, names);
+    return match ? `--${match}` : null;
+  }
+}
+
+/**
+ * Check a single argument or flag value against its declared type
+ * @param {Object} def - Argument or flag definition
+ * @param {string|number} value - Value to check
+ * @param {string} label - How to refer to the value in the message
+ * @returns {string|null} - Error message, or null if the value is valid
+ */
+function checkValue(def, value, label) {
+  const type = def.type || 'string';
+
+  if (type === 'sys_id' && !/^[0-9a-f]{32}$/i.test(String(value))) {
+    return `${label} must be a 32-character sys_id, got "${value}".`;
+  }
+
+  if (type === 'number') {
+    const num = Number(value);
+    if (value === '' || !Number.isFinite(num)) {
+      return `${label} must be a number, got "${value}".`;
+    }
+    if (def.min !== undefined && num < def.min) {
+      return `${label} must be at least ${def.min}.`;
+    }
+    if (def.max !== undefined && num > def.max) {
+      return `${label} must be at most ${def.max}.`;
+    }
+  }
+
+  if (type === 'enum' && def.values) {
+    const lower = String(value).toLowerCase();
+    if (!def.values.some(v => v.toLowerCase() === lower)) {
+      return `${label} must be one of: ${def.values.join(', ')}.`;
+    }
+  }
+
+  if (def.minLength && String(value).length < def.minLength) {
+    return `${label} must be at least ${def.minLength} characters.`;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a kebab-case flag name to camelCase
+ * @param {string} name - e.g. "per-field"
+ * @returns {string} - e.g. "perField"
+ */
+function toCamelCase(name) {
+  return name.toLowerCase().replace(/-+([a-z0-9])/g, (_, ch) => ch.toUpperCase());
+}
+
+/**
+ * Convert a camelCase flag key to kebab-case
+ * @param {string} key - e.g. "perField"
+ * @returns {string} - e.g. "per-field"
+ */
+function toKebabCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
 }
 
 // Export singleton instance
@@ -2,7 +2,8 @@
  * Glass Context - Shared state and utilities for the extension
  * 
  * Provides:
- * - ServiceNow instance detection
+ * - ServiceNow instance detection and named instance profiles
+ * - Page context (table, sys_id, query, view, scope of the current form or list)
  * - Current user information
  * - Storage access
  * - Common utilities
@@ -136,6 +137,152 @@ class GlassContext {
     window.location.reload();
   }
 
+  /**
+   * Describe what the user is looking at: the form or list in the content
+   * frame (gsft_main, also inside Polaris shadow roots) or the top page,
+   * including workspace record URLs and nav_to.do / params/target wrappers.
+   * @returns {{type: string, table: string|null, sysId: string|null, query: string,
+   *   view: string, scope: {sys_id: string, name: string}|null, url: string}}
+   *   type is 'form', 'list' or 'page'; sysId is null on new-record forms.
+   */
+  getPageContext() {
+    const frame = this._findContentFrame();
+    let doc = null;
+    let url = window.location.href;
+
+    try {
+      if (frame && frame.contentDocument && frame.contentWindow.location.href !== 'about:blank') {
+        doc = frame.contentDocument;
+        url = frame.contentWindow.location.href;
+      }
+    } catch (e) {
+      // Cross-origin frame; fall back to the top page
+    }
+
+    const page = this._parsePageUrl(url);
+    if (!doc && !page.table) {
+      doc = document;
+    }
+    if (doc) {
+      this._readPageDocument(doc, page);
+    }
+    return page;
+  }
+
+  /**
+   * Find the classic UI content frame, including the one Polaris keeps in a shadow root
+   * @returns {HTMLIFrameElement|null}
+   */
+  _findContentFrame() {
+    const direct = document.getElementById('gsft_main');
+    if (direct) return direct;
+
+    try {
+      const macroponent = document.querySelector('[macroponent-namespace]');
+      const shadowFrame = macroponent?.shadowRoot?.querySelector('#gsft_main');
+      if (shadowFrame) return shadowFrame;
+
+      const polarisNav = document.querySelector('[global-navigation-config]');
+      const navFrame = polarisNav?.shadowRoot?.querySelector('iframe');
+      if (navFrame) return navFrame;
+    } catch (e) {}
+
+    return null;
+  }
+
+  /**
+   * Read table, sys_id, query and view from a page URL
+   * @param {string} url - Page URL
+   * @returns {Object} - Page context with the fields the URL provides
+   */
+  _parsePageUrl(url) {
+    const page = { type: 'page', table: null, sysId: null, query: '', view: '', scope: null, url };
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return page;
+    }
+
+    // Unwrap /nav_to.do?uri=... and Polaris /now/nav/ui/classic/params/target/...
+    let path = parsed.pathname;
+    let params = parsed.searchParams;
+    const target = parsed.searchParams.get('uri') ||
+      (path.includes('/params/target/') ? decodeURIComponent(path.split('/params/target/')[1]) : null);
+    if (target) {
+      const inner = new URL(target, parsed.origin);
+      path = inner.pathname;
+      params = inner.searchParams;
+    }
+
+    // Workspaces: /now/<workspace>/record/<table>/<sys_id>
+    const record = path.match(/\/record\/([a-z0-9_]+)\/([a-f0-9]{32}|-1)/i);
+    if (record) {
+      page.type = 'form';
+      page.table = record[1];
+      page.sysId = record[2] === '-1' ? null : record[2];
+      return page;
+    }
+
+    const list = path.match(/\/([a-z0-9_]+)_list\.do$/i);
+    const form = path.match(/\/([a-z0-9_]+)\.do$/i);
+    if (list) {
+      page.type = 'list';
+      page.table = list[1];
+    } else if (form && params.has('sys_id')) {
+      page.type = 'form';
+      page.table = form[1];
+    } else if (params.get('sysparm_target')) {
+      page.table = params.get('sysparm_target');
+    }
+
+    const sysId = params.get('sys_id') || params.get('sysparm_sys_id');
+    if (sysId && /^[a-f0-9]{32}$/i.test(sysId)) {
+      page.sysId = sysId;
+    }
+    page.query = params.get('sysparm_query') || '';
+    page.view = params.get('sysparm_view') || '';
+    return page;
+  }
+
+  /**
+   * Fill in what the document knows better than the URL (form sys_id after
+   * a save, list query after filtering, the record's application scope)
+   * @param {Document} doc - Content document
+   * @param {Object} page - Page context to update
+   */
+  _readPageDocument(doc, page) {
+    const value = (selector) => {
+      const el = doc.querySelector(selector);
+      return el && el.value ? el.value : '';
+    };
+
+    const formTable = value('input[name="sys_target"]');
+    const uniqueValue = value('#sys_uniqueValue');
+    if (formTable) {
+      page.type = 'form';
+      page.table = formTable;
+      page.sysId = /^[a-f0-9]{32}$/i.test(uniqueValue) ? uniqueValue : null;
+    }
+
+    const listTable = doc.querySelector('table[glide_table]');
+    if (!formTable && listTable) {
+      page.type = 'list';
+      page.table = page.table || listTable.getAttribute('glide_table');
+      page.query = listTable.getAttribute('query') || page.query;
+    }
+
+    page.view = value('#sysparm_view') || page.view;
+
+    if (page.table) {
+      const scopeId = value(`input[id="${page.table}.sys_scope"]`);
+      if (scopeId) {
+        page.scope = { sys_id: scopeId, name: value(`input[id="sys_display.${page.table}.sys_scope"]`) };
+      }
+    }
+  }
+
   /**
    * Store a value in extension storage
    * @param {string} key - Storage key
@@ -162,6 +309,98 @@ class GlassContext {
     });
   }
 
+  /**
+   * Store a value in local extension storage
+   * For larger per-instance data (history, scratchpads) that would not fit sync quotas.
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store
+   * @returns {Promise<void>} - Rejects when the value could not be written
+   */
+  async storeLocal(key, value) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [key]: value }, () => {
+        // Set when the write failed, e.g. because the storage quota is full
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Get a value from local extension storage
+   * @param {string} key - Storage key
+   * @param {any} defaultValue - Default value if not found
+   * @returns {Promise<any>}
+   */
+  async getLocal(key, defaultValue = null) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([key], (result) => {
+        resolve(result[key] !== undefined ? result[key] : defaultValue);
+      });
+    });
+  }
+
+  /**
+   * Get every value in local extension storage whose key starts with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Object>} - Values by key
+   */
+  async getLocalByPrefix(prefix) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(null, (result) => {
+        resolve(Object.fromEntries(Object.entries(result).filter(([key]) => key.startsWith(prefix))));
+      });
+    });
+  }
+
+  /**
+   * Remove values from local extension storage
+   * @param {string|Array<string>} keys - Storage key(s)
+   * @returns {Promise<void>}
+   */
+  async removeLocal(keys) {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(keys, resolve);
+    });
+  }
+
+  /**
+   * Get the named instance profiles configured in the popup
+   * env is the dev/test/prod tag, when one was chosen.
+   * @returns {Promise<Array<{name: string, url: string, env?: string}>>}
+   */
+  async getProfiles() {
+    const profiles = await this.get('instanceProfiles', []);
+    return Array.isArray(profiles) ? profiles : [];
+  }
+
+  /**
+   * Find an instance profile by name (as in `@prod list incident`)
+   * @param {string} name - Profile name, without the @
+   * @returns {Promise<{name: string, url: string}|null>}
+   */
+  async getProfile(name) {
+    const profiles = await this.getProfiles();
+    return profiles.find(p => p.name.toLowerCase() === String(name).toLowerCase()) || null;
+  }
+
+  /**
+   * A context whose instance is another one than this tab's
+   * Everything else (storage, page context) is shared with this context.
+   * @param {string} instanceUrl - Target instance URL
+   * @returns {GlassContext}
+   */
+  forInstance(instanceUrl) {
+    const target = Object.create(this);
+    target._instanceUrl = instanceUrl;
+    target.getInstanceUrl = async () => instanceUrl;
+    target.resetInstanceUrl = () => {};
+    return target;
+  }
+
   /**
    * Reset the cached instance URL (useful if navigating between instances)
    */
@@ -0,0 +1,150 @@
+/**
+ * Glass Environment
+ *
+ * Classifies the instance as dev, test or prod so mutating commands can be
+ * guarded on production. The classification comes from, in order:
+ *
+ * 1. The instance's profile in the Glass popup, when it is tagged there
+ * 2. The instance_name and glide.installation.name system properties
+ * 3. The hostname
+ *
+ * Names that look like neither dev nor test count as prod, since production
+ * instances usually carry the bare company name (acme vs acmedev).
+ * Detection results are cached per instance for a day.
+ */
+
+(function() {
+  'use strict';
+
+  const ENVIRONMENTS = ['dev', 'test', 'prod'];
+  const CACHE_DURATION = 24 * 60 * 60 * 1000;
+
+  // Checked in order, so "preprod" is test rather than prod
+  const PATTERNS = [
+    { env: 'test', pattern: /pre-?prod|test|tst|uat|qa|stag(e|ing)|train/i },
+    { env: 'dev', pattern: /dev|sandbox|sbx|poc|demo/i },
+    { env: 'prod', pattern: /prod|prd|live/i }
+  ];
+
+  let detection = null;
+
+  /**
+   * Classify an instance or installation name
+   * @param {string} name - e.g. 'acmedev' or 'ACME Production'
+   * @returns {string|null} - 'dev', 'test', 'prod', or null when the name says nothing
+   */
+  function classify(name) {
+    if (!name) return null;
+    const match = PATTERNS.find(p => p.pattern.test(name));
+    return match ? match.env : null;
+  }
+
+  /**
+   * Storage key for the cached detection of an instance
+   * @param {string} host - Instance hostname
+   * @returns {string}
+   */
+  function cacheKey(host) {
+    return `glass_env_${host}`;
+  }
+
+  /**
+   * Read the instance_name and glide.installation.name properties
+   * @param {string} instanceUrl - Instance URL
+   * @returns {Promise<Object>} - Property values by name (empty when not readable)
+   */
+  async function readProperties(instanceUrl) {
+    try {
+      const records = await window.GlassAPI.tableGet(instanceUrl, 'sys_properties', {
+        query: 'nameINinstance_name,glide.installation.name',
+        fields: ['name', 'value'],
+        limit: 2
+      });
+      return Object.fromEntries(records.map(r => [r.name, r.value]));
+    } catch (e) {
+      // Users without access to sys_properties fall back to the hostname
+      return {};
+    }
+  }
+
+  /**
+   * Work out the environment of an instance without using the cache
+   * @param {string} instanceUrl - Instance URL
+   * @returns {Promise<{env: string, name: string, source: string}>}
+   */
+  async function classifyInstance(instanceUrl) {
+    const host = new URL(instanceUrl).hostname;
+    const hostName = host.split('.')[0];
+
+    const properties = await readProperties(instanceUrl);
+    const name = properties.instance_name || hostName;
+
+    for (const value of [properties.instance_name, properties['glide.installation.name']]) {
+      const env = classify(value);
+      if (env) return { env, name, source: 'property' };
+    }
+
+    const env = classify(hostName);
+    if (env) return { env, name, source: 'hostname' };
+
+    return { env: 'prod', name, source: 'default' };
+  }
+
+  /**
+   * Detect the environment of this tab's instance
+   * A tag on the instance's profile always wins over detection.
+   * @param {Object} options - { refresh: true } to ignore the cached detection
+   * @returns {Promise<{env: string, name: string, source: string}|null>}
+   *   source is 'settings', 'property', 'hostname' or 'default'; null off-instance
+   */
+  async function detect(options = {}) {
+    const context = window.GlassContext;
+    const instanceUrl = await context.getInstanceUrl();
+    if (!instanceUrl) return null;
+
+    const host = new URL(instanceUrl).hostname;
+    const profiles = await context.getProfiles();
+    const profile = profiles.find(p => p.env && new URL(p.url).hostname === host);
+    if (profile) {
+      return { env: profile.env, name: host.split('.')[0], source: 'settings' };
+    }
+
+    if (detection && !options.refresh) {
+      return detection;
+    }
+
+    const cached = await context.getLocal(cacheKey(host));
+    if (cached && !options.refresh && Date.now() - cached.detectedAt < CACHE_DURATION) {
+      detection = cached.result;
+      return detection;
+    }
+
+    detection = await classifyInstance(instanceUrl);
+    // A full storage only costs the cache, not the detection
+    await context.storeLocal(cacheKey(host), { result: detection, detectedAt: Date.now() }).catch(() => {});
+    return detection;
+  }
+
+  /**
+   * Whether a command changes data when run with these arguments
+   * @param {Object} command - Registered command
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   * @returns {boolean}
+   */
+  function isMutating(command, args, flags) {
+    // Only commands with a dry-run mode of their own preview instead of writing
+    if (flags.dryRun && command.flags && command.flags.dryRun) return false;
+    if (typeof command.mutating === 'function') {
+      return !!command.mutating(args, flags);
+    }
+    return !!command.mutating;
+  }
+
+  window.GlassEnvironment = {
+    ENVIRONMENTS,
+    classify,
+    detect,
+    isMutating
+  };
+})();
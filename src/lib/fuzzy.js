@@ -0,0 +1,165 @@
+/**
+ * Glass Fuzzy Matching
+ *
+ * Ranks candidates against typed input for command names, aliases, tables
+ * and update sources. A candidate matches when the input is a prefix, a
+ * substring, a subsequence (e.g. "lst" -> "list") or within a small edit
+ * distance (e.g. "imprsonate" -> "impersonate"), in that order of preference.
+ */
+
+(function() {
+  'use strict';
+
+  // Score bands, best first
+  const SCORE_EXACT = 1000;
+  const SCORE_PREFIX = 900;
+  const SCORE_WORD_START = 750;
+  const SCORE_SUBSTRING = 700;
+  const SCORE_SUBSEQUENCE = 500;
+  const SCORE_TYPO = 300;
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Number of edits needed to turn a into b
+   */
+  function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+        current.push(value);
+      }
+      prevPrev = prev;
+      prev = current;
+    }
+
+    return prev[b.length];
+  }
+
+  /**
+   * How many typos to tolerate for input of a given length
+   * @param {number} length - Input length
+   * @returns {number}
+   */
+  function typoAllowance(length) {
+    if (length < 3) return 0;
+    if (length <= 4) return 1;
+    if (length <= 8) return 2;
+    return 3;
+  }
+
+  /**
+   * Count the characters skipped when matching query as a subsequence of candidate
+   * @param {string} query - Lowercase query
+   * @param {string} candidate - Lowercase candidate
+   * @returns {number} - Skipped characters, or -1 if query is not a subsequence
+   */
+  function subsequenceGaps(query, candidate) {
+    let qi = 0;
+    let gaps = 0;
+    for (let ci = 0; ci < candidate.length && qi < query.length; ci++) {
+      if (candidate[ci] === query[qi]) {
+        qi++;
+      } else if (qi > 0) {
+        gaps++;
+      }
+    }
+    return qi === query.length ? gaps : -1;
+  }
+
+  /**
+   * Score how well a candidate matches the typed input
+   * @param {string} query - Typed input
+   * @param {string} candidate - Value to match against
+   * @returns {number} - Score above 0 for a match, 0 for no match
+   */
+  function score(query, candidate) {
+    const q = (query || '').toLowerCase();
+    const c = (candidate || '').toLowerCase();
+    if (!q || !c) return 0;
+
+    if (c === q) return SCORE_EXACT;
+    if (c.startsWith(q)) return SCORE_PREFIX - Math.min(c.length - q.length, 99);
+
+    const idx = c.indexOf(q);
+    if (idx !== -1) {
+      const band = /[\s_\-.]/.test(c[idx - 1]) ? SCORE_WORD_START : SCORE_SUBSTRING;
+      return band - Math.min(idx, 49);
+    }
+
+    const gaps = subsequenceGaps(q, c);
+    if (gaps !== -1 && q.length >= 2) {
+      return SCORE_SUBSEQUENCE - Math.min(gaps * 5 + (c.length - q.length), 199);
+    }
+
+    // Typos: compare against the whole candidate and against its start
+    const allowance = typoAllowance(q.length);
+    if (allowance > 0) {
+      const distance = Math.min(editDistance(q, c), editDistance(q, c.slice(0, q.length)));
+      if (distance <= allowance) {
+        return SCORE_TYPO - distance * 50 - Math.min(Math.abs(c.length - q.length), 49);
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Rank items by their best-matching key
+   * @param {string} query - Typed input
+   * @param {Array} items - Items to rank
+   * @param {Function} getKeys - item -> array of strings to match (defaults to the item itself)
+   * @param {number} limit - Maximum number of results
+   * @returns {Array} - Matching items, best first (all items when query is empty)
+   */
+  function rank(query, items, getKeys = item => [item], limit = Infinity) {
+    if (!query) return items.slice(0, limit);
+
+    return items
+      .map(item => {
+        const keys = getKeys(item).filter(Boolean);
+        return {
+          item,
+          score: Math.max(0, ...keys.map(key => score(query, key))),
+          length: Math.min(...keys.map(key => key.length))
+        };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.length - b.length)
+      .slice(0, limit)
+      .map(entry => entry.item);
+  }
+
+  /**
+   * Pick the closest candidate for a "did you mean" hint
+   * @param {string} query - What was typed
+   * @param {Array<string>} candidates - Known values
+   * @returns {string|null} - Best candidate, or null if nothing is close
+   */
+  function closest(query, candidates) {
+    const [best] = rank(query, candidates, item => [item], 1);
+    return best || null;
+  }
+
+  // Expose the API globally
+  window.GlassFuzzy = {
+    score,
+    rank,
+    closest,
+    editDistance
+  };
+
+})();
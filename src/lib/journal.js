@@ -0,0 +1,203 @@
+/**
+ * Glass Journal
+ *
+ * Local record of the writes destructive commands make, so they can be
+ * listed (`journal`) and reverted (`undo`). Each invocation is one entry;
+ * every write is logged with the record's state before and after, and saved
+ * as soon as it happens so a run that fails halfway can still be undone.
+ *
+ * Entries live in chrome.storage.local under one key for all instances.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'glass_journal';
+
+  // Number of entries kept, newest first
+  const JOURNAL_LIMIT = 50;
+
+  /**
+   * Load every journal entry, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async function list() {
+    const entries = await window.GlassContext.getLocal(STORAGE_KEY, []);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Find one entry by id
+   * @param {number} id - Entry id
+   * @returns {Promise<Object|null>}
+   */
+  async function get(id) {
+    const entries = await list();
+    return entries.find(entry => entry.id === Number(id)) || null;
+  }
+
+  /**
+   * Apply a change to one stored entry
+   * @param {number} id - Entry id
+   * @param {Function} change - entry -> void, mutates the stored copy
+   * @returns {Promise<Object|null>} - Updated entry
+   */
+  async function update(id, change) {
+    const entries = await list();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+    change(entry);
+    await window.GlassContext.storeLocal(STORAGE_KEY, entries);
+    return entry;
+  }
+
+  /**
+   * Start a journal entry for one command invocation
+   * @param {Object} options - Entry details
+   * @param {string} options.command - Command name (e.g. 'mirror')
+   * @param {string} options.description - What the invocation does (e.g. 'alice → bob')
+   * @param {string} options.instanceUrl - Instance the writes go to
+   * @returns {Promise<Object>} - Handle with record(op) and finish(status)
+   */
+  async function begin({ command, description, instanceUrl }) {
+    const entries = await list();
+    const id = entries.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+
+    const entry = {
+      id,
+      command,
+      description,
+      instanceUrl,
+      instance: new URL(instanceUrl).hostname,
+      startedAt: Date.now(),
+      finishedAt: null,
+      status: 'running',
+      operations: []
+    };
+    await window.GlassContext.storeLocal(STORAGE_KEY, [entry, ...entries].slice(0, JOURNAL_LIMIT));
+
+    return {
+      id,
+
+      /**
+       * Log one write after it succeeded
+       * @param {Object} op - { method: 'POST'|'PATCH'|'DELETE', table, sysId, before, after }
+       *   before: field values the record had (null for POST)
+       *   after: field values it has now (null for DELETE)
+       */
+      async record(op) {
+        await update(id, e => {
+          e.operations.push({
+            method: op.method,
+            table: op.table,
+            sysId: op.sysId,
+            before: op.before || null,
+            after: op.after || null,
+            at: Date.now()
+          });
+        });
+      },
+
+      /**
+       * Close the entry
+       * @param {string} status - 'done' or 'failed'
+       */
+      async finish(status = 'done') {
+        await update(id, e => {
+          e.status = status;
+          e.finishedAt = Date.now();
+        });
+      }
+    };
+  }
+
+  /**
+   * Work out the request that reverts one logged write
+   * Role grants that were inherited come back with their group membership,
+   * so their deletion has no inverse of its own.
+   * @param {Object} op - Logged operation
+   * @returns {{method: string, endpoint: string, body: Object|null}|null} - null when nothing to do
+   */
+  function inverseOf(op) {
+    switch (op.method) {
+      case 'POST':
+        return { method: 'DELETE', endpoint: `/api/now/table/${op.table}/${op.sysId}`, body: null };
+      case 'PATCH':
+        return { method: 'PATCH', endpoint: `/api/now/table/${op.table}/${op.sysId}`, body: op.before };
+      case 'DELETE':
+        if (!op.before || String(op.before.inherited) === 'true') return null;
+        return { method: 'POST', endpoint: `/api/now/table/${op.table}`, body: op.before };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Revert an entry by replaying the inverse of its writes, newest first
+   * The inverse requests go out through the Batch API. Keeps going past
+   * failures and reports them. Each reverted write is marked as soon as its
+   * result comes back, so running undo again after a partial failure (or a
+   * batch that broke off) only retries the rest.
+   * @param {Object} entry - Journal entry
+   * @param {Object} api - Glass API service
+   * @param {Function} onProgress - Called with a line of text per request (optional)
+   * @returns {Promise<{reverted: number, skipped: number, failed: Array<string>}>}
+   *   When the batch itself fails, the error carries the partial result as `result`.
+   */
+  async function undo(entry, api, onProgress = () => {}) {
+    const result = { reverted: 0, skipped: 0, failed: [] };
+
+    const pending = [];
+    for (let i = entry.operations.length - 1; i >= 0; i--) {
+      const op = entry.operations[i];
+      const inverse = op.undone ? null : inverseOf(op);
+      if (inverse) {
+        pending.push({ index: i, op, inverse });
+      } else {
+        result.skipped++;
+      }
+    }
+
+    try {
+      await api.batch(entry.instanceUrl, pending.map(p => p.inverse), {
+        onResult: async (i, response) => {
+          const { index, op, inverse } = pending[i];
+          if (response.ok) {
+            await update(entry.id, e => {
+              e.operations[index].undone = true;
+            });
+            result.reverted++;
+            onProgress(`${inverse.method} ${op.table}${inverse.method === 'POST' ? '' : `/${op.sysId}`}`);
+          } else {
+            result.failed.push(`${inverse.method} ${op.table}/${op.sysId}: ${response.error}`);
+            onProgress(`FAILED ${inverse.method} ${op.table}/${op.sysId}`);
+          }
+        }
+      });
+    } catch (error) {
+      error.result = result;
+      throw error;
+    } finally {
+      await update(entry.id, e => {
+        if (result.reverted === pending.length) {
+          e.status = 'undone';
+        } else if (result.reverted > 0) {
+          e.status = 'partly undone';
+        }
+        e.undoneAt = Date.now();
+      });
+    }
+
+    return result;
+  }
+
+  // Expose the API globally
+  window.GlassJournal = {
+    begin,
+    list,
+    get,
+    inverseOf,
+    undo
+  };
+
+})();
@@ -0,0 +1,103 @@
+/**
+ * Glass Relay
+ *
+ * Runs API calls and background scripts against another instance through
+ * a tab that is already open and signed in there. The request goes to the
+ * extension's service worker (background.js), which hands it to the Glass
+ * content script of that tab and returns its answer, so the call uses that
+ * tab's session instead of needing credentials of its own.
+ *
+ * Modules register what they can run for other tabs with handle(kind, fn).
+ */
+
+(function() {
+  'use strict';
+
+  // Extra time allowed for the round trip through the service worker
+  const RELAY_MARGIN = 5000;
+
+  const handlers = {};
+
+  /**
+   * Hostname of an instance URL
+   * @param {string} url - Instance or request URL
+   * @returns {string} - Hostname, or '' if the URL cannot be parsed
+   */
+  function hostOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Check whether a URL belongs to another instance than this tab's
+   * @param {string} url - Instance or request URL
+   * @returns {boolean}
+   */
+  function isRemote(url) {
+    const host = hostOf(url);
+    return !!host && host !== window.location.hostname;
+  }
+
+  /**
+   * Run a call in a tab open on another instance
+   * @param {string} url - Instance URL the call is for
+   * @param {string} kind - Handler registered in that tab (e.g. 'api')
+   * @param {Object} payload - Arguments for the handler
+   * @param {number} timeout - Time the call itself may take, in ms
+   * @returns {Promise<any>} - What the handler returned
+   */
+  function send(url, kind, payload, timeout) {
+    const host = hostOf(url);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`Request to ${host} timed out`));
+      }, timeout + RELAY_MARGIN);
+
+      chrome.runtime.sendMessage({ type: 'glassRelay', host, kind, payload, timeout }, (response) => {
+        clearTimeout(timer);
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response) {
+          reject(new Error(`No response from ${host}`));
+        } else if (response.relayError) {
+          reject(new Error(response.relayError));
+        } else {
+          resolve(response.result);
+        }
+      });
+    });
+  }
+
+  /**
+   * Register what this tab runs when another tab relays a call to it
+   * @param {string} kind - Call kind
+   * @param {Function} fn - payload -> result (may return a Promise)
+   */
+  function handle(kind, fn) {
+    handlers[kind] = fn;
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.type !== 'glassRelayedCall' || !handlers[message.kind]) {
+      return false;
+    }
+
+    Promise.resolve()
+      .then(() => handlers[message.kind](message.payload))
+      .then(
+        result => sendResponse({ result }),
+        error => sendResponse({ relayError: error.message })
+      );
+    return true;
+  });
+
+  window.GlassRelay = {
+    isRemote,
+    send,
+    handle
+  };
+})();
@@ -0,0 +1,220 @@
+/**
+ * Glass Results History
+ *
+ * Keeps the results pages commands open, per instance, so `results` can
+ * reopen one without running its background script again. Each page is
+ * stored under its own key next to a small index of command line, title
+ * and time. The oldest pages are dropped past the retention limit, and
+ * across all instances once the stored pages reach their size budget.
+ *
+ * Pages live in chrome.storage.local; the limit is a synced setting.
+ */
+
+(function() {
+  'use strict';
+
+  const INDEX_PREFIX = 'glass_results_';
+  const PAGE_PREFIX = 'glass_result_';
+  const LIMIT_KEY = 'glass_results_limit';
+
+  const DEFAULT_LIMIT = 20;
+  const MAX_LIMIT = 100;
+
+  // Larger pages are not kept: chrome.storage.local holds 10 MB in total
+  const MAX_PAGE_CHARS = 2 * 1024 * 1024;
+
+  // Pages of every instance together, leaving room for the journal,
+  // snippets and scratchpads that share the same storage
+  const MAX_TOTAL_CHARS = 5 * 1024 * 1024;
+
+  /**
+   * Storage key of an instance's index
+   * @param {string} host - Instance hostname
+   * @returns {string}
+   */
+  function indexKey(host) {
+    return `${INDEX_PREFIX}${host}`;
+  }
+
+  /**
+   * Storage key of one stored page
+   * @param {string} host - Instance hostname
+   * @param {number} id - Entry id
+   * @returns {string}
+   */
+  function pageKey(host, id) {
+    return `${PAGE_PREFIX}${host}_${id}`;
+  }
+
+  /**
+   * Read the <title> of a results page as plain text
+   * @param {string} html - Complete HTML document
+   * @returns {string}
+   */
+  function pageTitle(html) {
+    const match = html.match(/<title>([\s\S]*?)<\/title>/i);
+    if (!match) return '';
+    return match[1]
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0?39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  /**
+   * Number of pages kept per instance
+   * @returns {Promise<number>}
+   */
+  async function getLimit() {
+    const limit = Number(await window.GlassContext.get(LIMIT_KEY, DEFAULT_LIMIT));
+    return Number.isFinite(limit) && limit >= 1 ? Math.min(Math.floor(limit), MAX_LIMIT) : DEFAULT_LIMIT;
+  }
+
+  /**
+   * Change the retention limit and drop pages past it on every instance
+   * @param {number} limit - Pages to keep per instance (1-100)
+   * @returns {Promise<number>} - The limit applied
+   */
+  async function setLimit(limit) {
+    const applied = Math.max(1, Math.min(Math.floor(limit), MAX_LIMIT));
+    await window.GlassContext.store(LIMIT_KEY, applied);
+    for (const { host } of await allIndexes()) {
+      await prune(host, applied);
+    }
+    return applied;
+  }
+
+  /**
+   * List stored results for an instance, newest first
+   * @param {string} host - Instance hostname (default: this one)
+   * @returns {Promise<Array<Object>>} - { id, commandLine, title, savedAt, size }
+   */
+  async function list(host = window.location.hostname) {
+    const entries = await window.GlassContext.getLocal(indexKey(host), []);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Load one stored result with its page
+   * @param {number} id - Entry id
+   * @param {string} host - Instance hostname (default: this one)
+   * @returns {Promise<Object|null>} - Index entry plus `html`, or null
+   */
+  async function get(id, host = window.location.hostname) {
+    const entry = (await list(host)).find(e => e.id === Number(id));
+    if (!entry) return null;
+    const html = await window.GlassContext.getLocal(pageKey(host, entry.id), null);
+    return html ? { ...entry, html } : null;
+  }
+
+  /**
+   * Read the index of every instance with stored results
+   * @returns {Promise<Array<{host: string, entries: Array<Object>}>>}
+   */
+  async function allIndexes() {
+    const indexes = await window.GlassContext.getLocalByPrefix(INDEX_PREFIX);
+    return Object.entries(indexes)
+      .filter(([, entries]) => Array.isArray(entries))
+      .map(([key, entries]) => ({ host: key.slice(INDEX_PREFIX.length), entries }));
+  }
+
+  /**
+   * Drop the oldest pages of any instance until a new page fits the size budget
+   * @param {number} incoming - Size of the page about to be stored
+   */
+  async function makeRoom(incoming) {
+    const indexes = await allIndexes();
+    const stored = indexes.flatMap(index => index.entries);
+    let total = stored.reduce((sum, e) => sum + (e.size || 0), 0);
+    if (total + incoming <= MAX_TOTAL_CHARS) return;
+
+    const dropped = new Set();
+    for (const entry of stored.sort((a, b) => a.savedAt - b.savedAt)) {
+      if (total + incoming <= MAX_TOTAL_CHARS) break;
+      dropped.add(entry);
+      total -= entry.size || 0;
+    }
+
+    for (const { host, entries } of indexes) {
+      const removed = entries.filter(e => dropped.has(e));
+      if (removed.length === 0) continue;
+
+      // The index goes first so it never lists a page that is gone
+      await window.GlassContext.storeLocal(indexKey(host), entries.filter(e => !dropped.has(e)));
+      await window.GlassContext.removeLocal(removed.map(e => pageKey(host, e.id)));
+    }
+  }
+
+  /**
+   * Drop the oldest pages past the limit
+   * @param {string} host - Instance hostname
+   * @param {number} limit - Pages to keep
+   */
+  async function prune(host, limit) {
+    const entries = await list(host);
+    if (entries.length <= limit) return;
+
+    const dropped = entries.slice(limit);
+    await window.GlassContext.storeLocal(indexKey(host), entries.slice(0, limit));
+    await window.GlassContext.removeLocal(dropped.map(e => pageKey(host, e.id)));
+  }
+
+  /**
+   * Store a results page that was just opened
+   * @param {string} html - Complete HTML document
+   * @param {string} commandLine - Command line that produced it
+   * @param {string} host - Instance hostname the page belongs to (default: this one)
+   * @returns {Promise<number|null>} - Entry id, or null when the page is too large to keep
+   *   (rejects when storage is full, without indexing the page)
+   */
+  async function save(html, commandLine = '', host = window.location.hostname) {
+    if (html.length > MAX_PAGE_CHARS) return null;
+
+    await makeRoom(html.length);
+
+    const entries = await list(host);
+    const id = entries.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+
+    // The index is written only once its page is stored
+    await window.GlassContext.storeLocal(pageKey(host, id), html);
+    try {
+      await window.GlassContext.storeLocal(indexKey(host), [{
+        id,
+        commandLine,
+        title: pageTitle(html),
+        savedAt: Date.now(),
+        size: html.length
+      }, ...entries]);
+    } catch (e) {
+      await window.GlassContext.removeLocal(pageKey(host, id));
+      throw e;
+    }
+    await prune(host, await getLimit());
+
+    return id;
+  }
+
+  /**
+   * Delete every stored result for an instance
+   * @param {string} host - Instance hostname (default: this one)
+   * @returns {Promise<number>} - Number of results deleted
+   */
+  async function clear(host = window.location.hostname) {
+    const entries = await list(host);
+    await window.GlassContext.removeLocal([indexKey(host), ...entries.map(e => pageKey(host, e.id))]);
+    return entries.length;
+  }
+
+  window.GlassResultsHistory = {
+    list,
+    get,
+    save,
+    clear,
+    getLimit,
+    setLimit,
+    DEFAULT_LIMIT,
+    MAX_LIMIT
+  };
+})();
@@ -1,13 +1,17 @@
 /**
  * Glass Results Page
  * 
- * A unified, beautifully styled results page for commands that output to a new tab.
+ * A unified, beautifully styled results page for commands that output to a new tab
+ * or to the overlay's inline results panel.
  * Provides a consistent glass-like aesthetic across all Glass CLI commands.
  */
 
 (function() {
   'use strict';
 
+  // Rows per page in data tables
+  const DEFAULT_PAGE_SIZE = 50;
+
   // Glass theme colors - frosted glass aesthetic
   const GLASS_STYLES = `
     * {
@@ -47,6 +51,28 @@
       border-bottom: 1px solid rgba(255, 255, 255, 0.1);
     }
 
+    .glass-export {
+      float: right;
+      display: flex;
+      gap: 8px;
+    }
+
+    .glass-export button {
+      font: inherit;
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.8);
+      background: rgba(255, 255, 255, 0.1);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      padding: 6px 12px;
+      cursor: pointer;
+    }
+
+    .glass-export button:hover {
+      color: #ffffff;
+      background: rgba(255, 255, 255, 0.18);
+    }
+
     .glass-header h1 {
       font-size: 28px;
       font-weight: 600;
@@ -152,6 +178,149 @@
       background: rgba(255, 255, 255, 0.03);
     }
 
+    .glass-diff {
+      list-style: none;
+      font-family: 'SF Mono', 'Fira Code', 'Consolas', monospace;
+      font-size: 13px;
+    }
+
+    .glass-diff li {
+      display: flex;
+      gap: 12px;
+      padding: 8px 16px;
+      border-left: 3px solid transparent;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+    }
+
+    .glass-diff .glass-diff-sign {
+      width: 12px;
+      font-weight: 600;
+    }
+
+    .glass-diff .glass-diff-detail {
+      margin-left: auto;
+      color: rgba(255, 255, 255, 0.5);
+    }
+
+    .glass-diff .add {
+      border-left-color: #34c759;
+      background: rgba(52, 199, 89, 0.08);
+    }
+
+    .glass-diff .remove {
+      border-left-color: #ff453a;
+      background: rgba(255, 69, 58, 0.08);
+    }
+
+    .glass-diff .keep {
+      color: rgba(255, 255, 255, 0.6);
+    }
+
+    .glass-table-controls {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 12px;
+      margin-bottom: 16px;
+    }
+
+    .glass-input,
+    .glass-select {
+      font: inherit;
+      font-size: 13px;
+      color: #f0f4f8;
+      background: rgba(0, 0, 0, 0.3);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      padding: 8px 12px;
+      outline: none;
+    }
+
+    .glass-input {
+      flex: 1;
+      min-width: 200px;
+    }
+
+    .glass-input:focus,
+    .glass-select:focus {
+      border-color: rgba(125, 211, 252, 0.6);
+    }
+
+    .glass-table-count {
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.5);
+    }
+
+    .glass-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+
+    .glass-table th {
+      text-align: left;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+      color: rgba(255, 255, 255, 0.6);
+      padding: 8px 12px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.15);
+      cursor: pointer;
+      user-select: none;
+      white-space: nowrap;
+    }
+
+    .glass-table th:hover {
+      color: #ffffff;
+    }
+
+    .glass-table td {
+      padding: 8px 12px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+      vertical-align: top;
+    }
+
+    .glass-table tbody tr:hover td {
+      background: rgba(255, 255, 255, 0.03);
+    }
+
+    .glass-table .glass-table-group td {
+      font-weight: 600;
+      color: rgba(200, 220, 255, 1);
+      background: rgba(255, 255, 255, 0.06);
+    }
+
+    .glass-table td.glass-table-mono {
+      font-family: 'SF Mono', 'Fira Code', 'Consolas', monospace;
+      color: rgba(200, 220, 240, 0.9);
+    }
+
+    .glass-pager {
+      display: flex;
+      align-items: center;
+      justify-content: flex-end;
+      gap: 12px;
+      margin-top: 16px;
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.6);
+    }
+
+    .glass-pager button {
+      font: inherit;
+      color: #f0f4f8;
+      background: rgba(255, 255, 255, 0.1);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      padding: 6px 12px;
+      cursor: pointer;
+    }
+
+    .glass-pager button:disabled {
+      opacity: 0.4;
+      cursor: default;
+    }
+
     .glass-code {
       font-family: 'SF Mono', 'Fira Code', 'Consolas', monospace;
       font-size: 13px;
@@ -295,6 +464,8 @@
    * @param {string} options.subtitle - Subtitle/description
    * @param {string} options.content - Main HTML content
    * @param {string} options.footer - Optional footer text
+   * @param {Object} options.data - Optional { columns, rows } behind the page for the
+   *   export buttons; without it they export the data table, or else the cards
    * @returns {string} - Complete HTML document
    */
   function buildPage(options) {
@@ -302,7 +473,8 @@
       title = 'Glass CLI',
       subtitle = '',
       content = '',
-      footer = 'Glass CLI'
+      footer = 'Glass CLI',
+      data = null
     } = options;
 
     return `<!DOCTYPE html>
@@ -316,6 +488,11 @@
 <body>
   <div class="glass-container">
     <div class="glass-header">
+      <div class="glass-export">
+        <button type="button" data-format="csv">CSV</button>
+        <button type="button" data-format="json">JSON</button>
+        <button type="button" data-format="md">Markdown</button>
+      </div>
       <h1>${title}</h1>
       ${subtitle ? `<div class="subtitle">${subtitle}</div>` : ''}
     </div>
@@ -324,6 +501,9 @@
     </div>
     ${footer ? `<div class="glass-footer">${footer}</div>` : ''}
   </div>
+  ${data ? `<script type="application/json" id="glass-export-data">${embedJson(data)}</script>` : ''}
+  ${content.includes('glass-table-wrap') ? `<script>(${initDataTables.toString()})();</script>` : ''}
+  <script>(${initExport.toString()})();</script>
 </body>
 </html>`;
   }
@@ -417,10 +597,402 @@
   }
 
   /**
-   * Open a results page in a new tab
+   * Build a diff of planned changes
+   * @param {Array} items - Array of { action: 'add'|'remove'|'keep', label, detail } objects
+   * @returns {string} - Diff HTML (labels and details must already be escaped)
+   */
+  function buildDiff(items) {
+    const signs = { add: '+', remove: '−', keep: '=' };
+    if (items.length === 0) {
+      return '<div class="glass-card"><div class="glass-card-subtitle">No changes.</div></div>';
+    }
+    return `
+      <ul class="glass-diff">
+        ${items.map(item => `
+          <li class="${item.action}">
+            <span class="glass-diff-sign">${signs[item.action] || ''}</span>
+            <span>${item.label}</span>
+            ${item.detail ? `<span class="glass-diff-detail">${item.detail}</span>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Serialize data for a <script type="application/json"> block
+   * Escapes "<" so a value containing "</script>" cannot end the block.
+   * @param {any} value - Data to embed
+   * @returns {string} - JSON text
+   */
+  function embedJson(value) {
+    return JSON.stringify(value)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+  }
+
+  /**
+   * Build an interactive table whose rows are embedded as JSON
+   * The page filters, sorts, groups and paginates them itself, so large
+   * result sets never need the background script to run again.
+   * @param {Object} options - Table configuration
+   * @param {Array} options.columns - Array of { key, label, href, mono } objects;
+   *   `href` names the row key holding the cell's link, `mono` uses a code font
+   * @param {Array<Object>} options.rows - Plain row objects (escaped by the page, not here)
+   * @param {Array<string>} options.groupBy - Column keys offered in the group-by menu
+   * @param {number} options.pageSize - Rows per page (default 50)
+   * @param {string} options.empty - HTML shown when there are no rows
+   * @returns {string} - Table HTML
+   */
+  function buildDataTable(options) {
+    const {
+      columns = [],
+      rows = [],
+      groupBy = [],
+      pageSize = DEFAULT_PAGE_SIZE,
+      empty = 'No results.'
+    } = options;
+
+    if (rows.length === 0) {
+      return `<div class="glass-card"><div class="glass-card-subtitle">${empty}</div></div>`;
+    }
+
+    const json = embedJson({ columns, rows, pageSize });
+
+    const groupOptions = groupBy.map(key => {
+      const column = columns.find(c => c.key === key);
+      return `<option value="${key}">Group by ${column ? column.label : key}</option>`;
+    }).join('');
+
+    return `
+      <div class="glass-table-wrap">
+        <script type="application/json">${json}</script>
+        <div class="glass-table-controls">
+          <input class="glass-input glass-table-filter" type="search" placeholder="Filter ${rows.length} rows...">
+          ${groupOptions ? `<select class="glass-select glass-table-group-by"><option value="">No grouping</option>${groupOptions}</select>` : ''}
+          <span class="glass-table-count"></span>
+        </div>
+        <table class="glass-table">
+          <thead><tr></tr></thead>
+          <tbody></tbody>
+        </table>
+        <div class="glass-pager">
+          <button type="button" class="glass-pager-prev">Previous</button>
+          <span class="glass-pager-label"></span>
+          <button type="button" class="glass-pager-next">Next</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Wire up every data table on a results page
+   * Runs inside the opened page (serialized into it by buildPage), so it
+   * must not reference anything outside its own body.
+   * @param {Document|ShadowRoot} root - Where the tables are (default: document)
+   */
+  function initDataTables(root) {
+    (root || document).querySelectorAll('.glass-table-wrap').forEach(wrap => {
+      const config = JSON.parse(wrap.querySelector('script[type="application/json"]').textContent);
+      const { columns, rows, pageSize } = config;
+      const state = { filter: [], sortKey: null, sortDir: 1, groupKey: '', page: 0 };
+
+      const filterInput = wrap.querySelector('.glass-table-filter');
+      const groupSelect = wrap.querySelector('.glass-table-group-by');
+      const headRow = wrap.querySelector('thead tr');
+      const body = wrap.querySelector('tbody');
+      const count = wrap.querySelector('.glass-table-count');
+      const pager = wrap.querySelector('.glass-pager');
+      const pageLabel = wrap.querySelector('.glass-pager-label');
+      const prev = wrap.querySelector('.glass-pager-prev');
+      const next = wrap.querySelector('.glass-pager-next');
+
+      const text = (row, key) => (row[key] === undefined || row[key] === null ? '' : String(row[key]));
+      const compare = (a, b, key) => text(a, key).localeCompare(text(b, key), undefined, { numeric: true, sensitivity: 'base' });
+
+      function visibleRows() {
+        let result = rows.filter(row => state.filter.every(term =>
+          columns.some(column => text(row, column.key).toLowerCase().includes(term))
+        ));
+        if (state.sortKey) {
+          result = result.slice().sort((a, b) => compare(a, b, state.sortKey) * state.sortDir);
+        }
+        if (state.groupKey) {
+          // Stable, so rows keep the column sort within each group
+          result = result.slice().sort((a, b) => compare(a, b, state.groupKey));
+        }
+        return result;
+      }
+
+      function renderHead() {
+        headRow.textContent = '';
+        columns.forEach(column => {
+          const th = document.createElement('th');
+          const arrow = state.sortKey === column.key ? (state.sortDir > 0 ? ' ▲' : ' ▼') : '';
+          th.textContent = column.label + arrow;
+          th.title = 'Sort by ' + column.label;
+          th.addEventListener('click', () => {
+            if (state.sortKey !== column.key) {
+              state.sortKey = column.key;
+              state.sortDir = 1;
+            } else if (state.sortDir > 0) {
+              state.sortDir = -1;
+            } else {
+              state.sortKey = null;
+            }
+            state.page = 0;
+            render();
+          });
+          headRow.appendChild(th);
+        });
+      }
+
+      function renderCell(row, column) {
+        const td = document.createElement('td');
+        const value = text(row, column.key);
+        const href = column.href ? text(row, column.href) : '';
+        if (column.mono) td.className = 'glass-table-mono';
+        if (/^https?:\/\//i.test(href)) {
+          const a = document.createElement('a');
+          a.href = href;
+          a.target = '_blank';
+          a.rel = 'noopener';
+          a.textContent = value || href;
+          td.appendChild(a);
+        } else {
+          td.textContent = value;
+        }
+        return td;
+      }
+
+      function render() {
+        const visible = visibleRows();
+        const pages = Math.max(1, Math.ceil(visible.length / pageSize));
+        state.page = Math.min(state.page, pages - 1);
+        const start = state.page * pageSize;
+        const pageRows = visible.slice(start, start + pageSize);
+
+        const groupSizes = {};
+        if (state.groupKey) {
+          visible.forEach(row => {
+            const key = text(row, state.groupKey);
+            groupSizes[key] = (groupSizes[key] || 0) + 1;
+          });
+        }
+
+        renderHead();
+        body.textContent = '';
+        let lastGroup = null;
+        pageRows.forEach(row => {
+          if (state.groupKey) {
+            const group = text(row, state.groupKey);
+            if (group !== lastGroup) {
+              const tr = document.createElement('tr');
+              tr.className = 'glass-table-group';
+              const td = document.createElement('td');
+              td.colSpan = columns.length;
+              td.textContent = (group || '(empty)') + ' · ' + groupSizes[group];
+              tr.appendChild(td);
+              body.appendChild(tr);
+              lastGroup = group;
+            }
+          }
+          const tr = document.createElement('tr');
+          columns.forEach(column => tr.appendChild(renderCell(row, column)));
+          body.appendChild(tr);
+        });
+
+        count.textContent = visible.length === rows.length
+          ? rows.length + ' rows'
+          : visible.length + ' of ' + rows.length + ' rows';
+        pager.style.display = pages > 1 ? '' : 'none';
+        pageLabel.textContent = 'Page ' + (state.page + 1) + ' of ' + pages;
+        prev.disabled = state.page === 0;
+        next.disabled = state.page >= pages - 1;
+      }
+
+      filterInput.addEventListener('input', () => {
+        state.filter = filterInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+        state.page = 0;
+        render();
+      });
+      if (groupSelect) {
+        groupSelect.addEventListener('change', () => {
+          state.groupKey = groupSelect.value;
+          state.page = 0;
+          render();
+        });
+      }
+      // Export what the table currently shows (see initExport)
+      wrap.glassExportRows = () => ({ columns, rows: visibleRows() });
+
+      prev.addEventListener('click', () => { state.page--; render(); });
+      next.addEventListener('click', () => { state.page++; render(); });
+
+      render();
+    });
+  }
+
+  /**
+   * Wire up the CSV / JSON / Markdown export buttons of a results page
+   * Exports the page's embedded data if buildPage was given some, else the
+   * filtered rows of the first data table, else the text of the cards,
+   * diff and list items. Runs inside the opened page like initDataTables.
+   * @param {Document|ShadowRoot} root - Where the page is (default: document)
+   */
+  function initExport(root) {
+    const scope = root || document;
+    const text = (value) => (value === undefined || value === null ? '' : String(value));
+    const clean = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+
+    function pageRows() {
+      const embedded = scope.querySelector('#glass-export-data');
+      if (embedded) {
+        return JSON.parse(embedded.textContent);
+      }
+
+      const table = scope.querySelector('.glass-table-wrap');
+      if (table && table.glassExportRows) {
+        return table.glassExportRows();
+      }
+
+      const rows = [];
+      scope.querySelectorAll('.glass-section').forEach(section => {
+        const sectionTitle = clean(section.querySelector('.glass-section-title'));
+        section.querySelectorAll('.glass-card').forEach(card => {
+          const titleEl = card.querySelector('.glass-card-title');
+          const badge = clean(card.querySelector('.glass-badge'));
+          const title = clean(titleEl);
+          rows.push({
+            section: sectionTitle,
+            title: badge && title.endsWith(badge) ? title.slice(0, -badge.length).trim() : title,
+            subtitle: clean(card.querySelector('.glass-card-subtitle')),
+            meta: clean(card.querySelector('.glass-card-meta')),
+            badge
+          });
+        });
+        section.querySelectorAll('.glass-diff li, .glass-list li').forEach(item => {
+          const parts = Array.from(item.children).map(clean);
+          rows.push({ section: sectionTitle, title: parts.join(' ').trim() || clean(item), subtitle: '', meta: '', badge: item.className || '' });
+        });
+      });
+      return {
+        columns: [
+          { key: 'section', label: 'Section' },
+          { key: 'title', label: 'Title' },
+          { key: 'subtitle', label: 'Subtitle' },
+          { key: 'meta', label: 'Details' },
+          { key: 'badge', label: 'Badge' }
+        ],
+        rows
+      };
+    }
+
+    // A column with a link exports the link as a column of its own
+    function exportColumns(columns) {
+      const result = [];
+      columns.forEach(column => {
+        result.push({ key: column.key, label: column.label });
+        if (column.href) {
+          result.push({ key: column.href, label: column.label + ' URL' });
+        }
+      });
+      return result;
+    }
+
+    function toCsv(columns, rows) {
+      const cell = (value) => {
+        // Spreadsheets would run these as formulas, so they are kept as text
+        const safe = /^[=+\-@\t\r]/.test(value) ? "'" + value : value;
+        return /[",\r\n]/.test(safe) ? '"' + safe.replace(/"/g, '""') + '"' : safe;
+      };
+      const lines = [columns.map(c => cell(c.label)).join(',')];
+      rows.forEach(row => lines.push(columns.map(c => cell(text(row[c.key]))).join(',')));
+      return lines.join('\r\n') + '\r\n';
+    }
+
+    function toMarkdown(columns, rows) {
+      const cell = (value) => value.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+      const lines = [
+        '| ' + columns.map(c => cell(c.label)).join(' | ') + ' |',
+        '| ' + columns.map(() => '---').join(' | ') + ' |'
+      ];
+      rows.forEach(row => lines.push('| ' + columns.map(c => cell(text(row[c.key]))).join(' | ') + ' |'));
+      return lines.join('\n') + '\n';
+    }
+
+    function toJson(columns, rows) {
+      const objects = rows.map(row => {
+        const object = {};
+        columns.forEach(c => { object[c.key] = row[c.key] === undefined ? null : row[c.key]; });
+        return object;
+      });
+      return JSON.stringify(objects, null, 2) + '\n';
+    }
+
+    function download(content, extension, type) {
+      const heading = scope.querySelector('.glass-header h1');
+      const name = ((heading && heading.textContent) || document.title || 'glass-results').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'glass-results';
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      const url = URL.createObjectURL(new Blob([content], { type }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = name + '-' + stamp + '.' + extension;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    scope.querySelectorAll('.glass-export button').forEach(button => {
+      button.addEventListener('click', () => {
+        const data = pageRows();
+        const columns = exportColumns(data.columns);
+        const format = button.getAttribute('data-format');
+        if (format === 'csv') {
+          download(toCsv(columns, data.rows), 'csv', 'text/csv');
+        } else if (format === 'json') {
+          download(toJson(columns, data.rows), 'json', 'application/json');
+        } else {
+          download(toMarkdown(columns, data.rows), 'md', 'text/markdown');
+        }
+      });
+    });
+  }
+
+  /**
+   * Make a results page rendered outside its own tab interactive
+   * (used by the overlay's inline results panel)
+   * @param {ShadowRoot|Element} root - Container holding the page body
+   */
+  function initPage(root) {
+    initDataTables(root);
+    initExport(root);
+  }
+
+  /**
+   * Show a results page: in the overlay's results panel when it is
+   * available, otherwise (or with `tab: true`, the panel's pop-out) in a new tab.
+   * Pages are kept in the results history unless `history: false` is given
+   * (help and listings that are cheap to rebuild, reopened results), under
+   * the command line and instance (`@name` target included) of `ctx`.
    * @param {string} html - Complete HTML document
+   * @param {Object} options - { tab: true to always open a tab, history: false to not keep it,
+   *   ctx: execution context of the command that built the page }
    */
-  function openPage(html) {
+  function openPage(html, options = {}) {
+    if (options.history !== false && window.GlassResultsHistory) {
+      const ctx = options.ctx || {};
+      const host = ctx.target ? new URL(ctx.target.url).hostname : window.location.hostname;
+      window.GlassResultsHistory.save(html, ctx.commandLine || '', host).catch(() => {});
+    }
+
+    if (!options.tab && window.GlassRadialUI && window.GlassRadialUI.openResults) {
+      window.GlassRadialUI.openResults(html);
+      return;
+    }
+
     const blob = new Blob([html], { type: 'text/html' });
     const blobUrl = URL.createObjectURL(blob);
     window.open(blobUrl, '_blank');
@@ -434,6 +1006,9 @@
     buildCardGrid,
     buildStats,
     buildList,
+    buildDiff,
+    buildDataTable,
+    initPage,
     openPage,
     STYLES: GLASS_STYLES
   };
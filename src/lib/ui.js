@@ -96,11 +96,38 @@ class GlassUI {
   }
 
   /**
-   * Clear command history
+   * Open the multi-line editor in the overlay
+   * @param {Object} options - { title, value, scope, recent }
+   * @returns {Promise<{script: string, scope: string}|null>} - null when cancelled
+   */
+  openEditor(options = {}) {
+    if (window.GlassRadialUI) {
+      return window.GlassRadialUI.openEditor(options);
+    }
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Ask the user to confirm a change before it is made
+   * @param {Object} options - { title, lines, confirmLabel, requireText }
+   * @returns {Promise<boolean>} - true when confirmed, false when cancelled
+   */
+  confirm(options = {}) {
+    if (window.GlassRadialUI) {
+      return window.GlassRadialUI.openConfirm(options);
+    }
+    return Promise.resolve(false);
+  }
+
+  /**
+   * Clear command history, including the history stored for this instance
    */
   clearHistory() {
     this.commandHistory = [];
     this.historyIndex = -1;
+    if (window.GlassRadialUI) {
+      window.GlassRadialUI.clearHistory();
+    }
   }
 }
 
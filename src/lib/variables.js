@@ -0,0 +1,78 @@
+/**
+ * Glass Variables
+ *
+ * Built-in command line variables, expanded by the command registry before
+ * a command runs, so values already on screen never need retyping:
+ *
+ *   acl bob $table $sys_id
+ *   random $table
+ *   list $table "$query^active=true"
+ *
+ * Page variables come from GlassContext.getPageContext(); $number and $me
+ * are looked up only when a command line uses them. $me is the user on the
+ * instance a line runs against, so it follows an @name target.
+ */
+
+(function() {
+  'use strict';
+
+  const variables = [
+    {
+      name: 'table',
+      description: 'Table of the form or list being viewed',
+      example: 'incident',
+      unavailable: 'Open a form or list first.',
+      resolve: ({ context }) => context.getPageContext().table
+    },
+    {
+      name: 'sys_id',
+      description: 'sys_id of the record being viewed',
+      example: '46d44a23a9fe19810012d100cca80666',
+      unavailable: 'Open a saved record first.',
+      resolve: ({ context }) => context.getPageContext().sysId
+    },
+    {
+      name: 'number',
+      description: 'Number of the record being viewed',
+      example: 'INC0010001',
+      unavailable: 'Open a saved record on a table with a number field first.',
+      async resolve({ context, api }) {
+        const page = context.getPageContext();
+        const instanceUrl = await context.getInstanceUrl();
+        if (!page.table || !page.sysId || !instanceUrl) return null;
+
+        const records = await api.tableGet(instanceUrl, page.table, {
+          query: `sys_id=${page.sysId}`,
+          fields: ['number'],
+          limit: 1
+        });
+        return records.length > 0 ? records[0].number : null;
+      }
+    },
+    {
+      name: 'query',
+      description: 'Encoded query of the list being viewed',
+      example: 'active=true^priority=1',
+      unavailable: 'Open a filtered list first.',
+      resolve: ({ context }) => context.getPageContext().query
+    },
+    {
+      name: 'me',
+      description: 'Your user name',
+      example: 'admin',
+      unavailable: 'Unable to load the current user.',
+      followsTarget: true,
+      async resolve({ context, api }) {
+        const instanceUrl = await context.getInstanceUrl();
+        if (!instanceUrl) return null;
+
+        const user = await api.getCurrentUser(instanceUrl);
+        return user ? user.user_name : null;
+      }
+    }
+  ];
+
+  if (window.GlassCommandRegistry) {
+    variables.forEach(variable => window.GlassCommandRegistry.registerVariable(variable));
+  }
+})();
@@ -132,6 +132,17 @@
     }
   }
 
+  /**
+   * Tint the floating icon when the instance is production
+   */
+  function refreshEnvironment() {
+    if (!window.GlassEnvironment || !window.GlassRadialUI) return;
+
+    window.GlassEnvironment.detect()
+      .then(instance => window.GlassRadialUI.setEnvironment(instance ? instance.env : null))
+      .catch(() => {});
+  }
+
   /**
    * Setup all keyboard listeners
    */
@@ -199,6 +210,9 @@
     // Setup keyboard listeners
     setupKeyboardListeners();
 
+    // Classify the instance for the production guardrails
+    refreshEnvironment();
+
     // Re-setup on navigation (for SPAs)
     let lastUrl = location.href;
     const urlObserver = new MutationObserver(() => {
@@ -225,6 +239,9 @@
       if (changes.cliShortcut) {
         currentShortcut = parseShortcut(changes.cliShortcut.newValue || 'Ctrl+Shift+G');
       }
+      if (changes.instanceProfiles) {
+        refreshEnvironment();
+      }
     });
   }
 